@@ -14,6 +14,7 @@ import fs from 'fs';
 import { execSync } from 'child_process';
 import { consoleStyle } from './utils.js';
 import mangleSelectors from './cssMangler.js';
+import workerPlugin from './workerPlugin.js';
 
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
@@ -72,6 +73,7 @@ const resultEsbuild = await esbuild.build({
   legalComments: 'inline', // What level of legal comments are preserved? (Hard: none, Soft: inline)
   minify: false, // Should the code be minified?
   write: false, // Should we write the outfile to the disk?
+  plugins: [workerPlugin()], // Bundles "?worker" imports into strings, so the worker can be started from a Blob
 }).catch(() => process.exit(1));
 
 // Retrieves the JS file
@@ -0,0 +1,53 @@
+/** An esbuild plugin that bundles Web Worker scripts into a string.
+ * The userscript is a single file, so a worker can not be loaded from its own URL.
+ * Instead, import the worker script with "?worker" at the end, and start the worker from a Blob of the string.
+ * @since 0.84.14
+ * @example
+ * // In the source code
+ * import workerSource from './myWorker.js?worker';
+ * const worker = new Worker(URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' })));
+ *
+ * // In the build script
+ * await esbuild.build({entryPoints: ['src/main.js'], bundle: true, plugins: [workerPlugin()]});
+ */
+
+import esbuild from 'esbuild';
+import path from 'path';
+
+/** Creates the esbuild plugin that bundles "?worker" imports into a string.
+ * @returns {import('esbuild').Plugin} The esbuild plugin
+ * @since 0.84.14
+ */
+export default function workerPlugin() {
+  return {
+    name: 'worker',
+    setup(build) {
+
+      // Resolves "?worker" imports to the absolute path of the worker script
+      build.onResolve({ filter: /\?worker$/ }, (args) => ({
+        path: path.resolve(args.resolveDir, args.path.replace(/\?worker$/, '')),
+        namespace: 'worker'
+      }));
+
+      // Bundles the worker script, and exports the bundled code as a string
+      build.onLoad({ filter: /.*/, namespace: 'worker' }, async (args) => {
+        const result = await esbuild.build({
+          entryPoints: [args.path],
+          bundle: true,
+          format: 'iife',
+          target: 'es2020',
+          platform: 'browser',
+          minify: true,
+          write: false,
+          metafile: true
+        });
+
+        return {
+          contents: `export default ${JSON.stringify(result.outputFiles[0].text)};`,
+          loader: 'js',
+          watchFiles: Object.keys(result.metafile.inputs).map(input => path.resolve(input))
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,185 @@
+import { tileSize, worldSize, tilePixelToGlobal, globalToTilePixel } from './coordinates.js';
+
+/** A small map of where every template is, and how complete each template is.
+ * Every template is drawn as its bounding box, split into the tiles it covers.
+ * Each tile is colored by the progress of the template on it, from red (nothing done) to green (done). Tiles that were not seen yet are gray.
+ * @class Minimap
+ * @since 0.84.19
+ */
+export default class Minimap {
+
+  /** The constructor for the {@link Minimap} class.
+   * @param {import('./templateManager.js').default} templateManager - The template manager to read the templates and their progress from
+   * @since 0.84.19
+   */
+  constructor(templateManager) {
+    this.templateManager = templateManager; // The template manager to read the templates and their progress from
+    this.canvas = null; // The canvas the minimap is drawn on. Later populated when setCanvas is called
+    this.view = null; // The area of the canvas (game) shown, as {x, y, scale}. "x" and "y" are the absolute pixel at the top left corner, and "scale" is the minimap pixels per canvas pixel
+    this.selectedCoords = null; // The absolute pixel picked last, as [x, y]
+    this.isDrawQueued = false; // Is the minimap going to be drawn on the next frame?
+  }
+
+  /** Populates the canvas the minimap is drawn on.
+   * @param {HTMLCanvasElement} canvas - The canvas
+   * @since 0.84.19
+   */
+  setCanvas(canvas) {this.canvas = canvas;}
+
+  /** Draws the minimap on the next frame.
+   * Many requests in the same frame (e.g. many tiles loading at once) only draw once.
+   * @since 0.84.19
+   */
+  requestDraw() {
+    if (this.isDrawQueued) {return;} // Kills itself if the minimap is going to be drawn already
+
+    this.isDrawQueued = true;
+    requestAnimationFrame(() => {
+      this.isDrawQueued = false;
+      this.draw();
+    });
+  }
+
+  /** Draws the footprint and progress of every template on the minimap.
+   * The view is fit to the templates, so every template is visible.
+   * @since 0.84.19
+   */
+  draw() {
+    const canvas = this.canvas;
+
+    if (!canvas?.isConnected || canvas.offsetParent === null) {return;} // Kills itself if the minimap is not shown
+
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    const footprints = this.templateManager.templatesArray
+      .filter(template => template.coords && template.width && template.height)
+      .map(template => {
+        const [x, y] = tilePixelToGlobal(...template.coords); // Absolute position of the template
+        return { 'template': template, 'x': x, 'y': y, 'width': template.width, 'height': template.height };
+      })
+      .sort((footprintA, footprintB) => footprintB['template'].sortID - footprintA['template'].sortID); // Templates drawn on top are drawn last
+
+    if (footprints.length === 0) {
+      this.view = null;
+      context.fillStyle = 'lightgray';
+      context.font = 'small monospace';
+      context.textAlign = 'center';
+      context.fillText('No templates', canvas.width / 2, canvas.height / 2);
+      return;
+    }
+
+    this.view = this.#fitView(footprints);
+
+    for (const footprint of footprints) {
+      this.#drawFootprint(context, footprint);
+    }
+
+    // Marks the spot picked last
+    if (this.selectedCoords) {
+      const [x, y] = this.#toCanvasPoint(this.selectedCoords[0] + 0.5, this.selectedCoords[1] + 0.5);
+      context.strokeStyle = 'white';
+      context.lineWidth = 1;
+      context.beginPath();
+      context.moveTo(Math.round(x) + 0.5, 0);
+      context.lineTo(Math.round(x) + 0.5, canvas.height);
+      context.moveTo(0, Math.round(y) + 0.5);
+      context.lineTo(canvas.width, Math.round(y) + 0.5);
+      context.stroke();
+    }
+  }
+
+  /** Finds the absolute pixel under a point of the minimap, and marks it as picked.
+   * @param {number} canvasX - The X position on the minimap, in minimap pixels
+   * @param {number} canvasY - The Y position on the minimap, in minimap pixels
+   * @returns {Array<number>|null} The coordinates as [tileX, tileY, pixelX, pixelY], or null if nothing is shown yet
+   * @since 0.84.19
+   */
+  pickCoords(canvasX, canvasY) {
+
+    if (!this.view) {return null;} // Kills itself if there are no templates shown
+
+    const x = Math.floor(this.view['x'] + canvasX / this.view['scale']);
+    const y = Math.min(worldSize - 1, Math.max(0, Math.floor(this.view['y'] + canvasY / this.view['scale']))); // The canvas does not wrap around vertically
+
+    this.selectedCoords = [x, y];
+    this.requestDraw();
+
+    return globalToTilePixel(x, y);
+  }
+
+  /** Fits the view to the footprints of the templates, with a margin.
+   * @param {Array<{x: number, y: number, width: number, height: number}>} footprints - The areas of the templates, in absolute pixels
+   * @returns {{x: number, y: number, scale: number}} The view
+   * @since 0.84.19
+   */
+  #fitView(footprints) {
+    const minX = Math.min(...footprints.map(footprint => footprint['x']));
+    const minY = Math.min(...footprints.map(footprint => footprint['y']));
+    const maxX = Math.max(...footprints.map(footprint => footprint['x'] + footprint['width']));
+    const maxY = Math.max(...footprints.map(footprint => footprint['y'] + footprint['height']));
+
+    const margin = Math.max(50, (maxX - minX) * 0.1, (maxY - minY) * 0.1); // Keeps the templates away from the edges
+    const width = maxX - minX + margin * 2;
+    const height = maxY - minY + margin * 2;
+    const scale = Math.min(this.canvas.width / width, this.canvas.height / height);
+
+    // Centers the templates
+    return {
+      'x': minX - margin - (this.canvas.width / scale - width) / 2,
+      'y': minY - margin - (this.canvas.height / scale - height) / 2,
+      'scale': scale
+    };
+  }
+
+  /** Converts an absolute pixel position to a point on the minimap.
+   * @param {number} x - The absolute X position
+   * @param {number} y - The absolute Y position
+   * @returns {Array<number>} The point on the minimap, as [x, y]
+   * @since 0.84.19
+   */
+  #toCanvasPoint(x, y) {
+    return [(x - this.view['x']) * this.view['scale'], (y - this.view['y']) * this.view['scale']];
+  }
+
+  /** Draws the footprint of a template, colored by its progress on every tile it covers.
+   * @param {CanvasRenderingContext2D} context - The context of the minimap
+   * @param {{template: import('./Template.js').default, x: number, y: number, width: number, height: number}} footprint - The template and its area, in absolute pixels
+   * @since 0.84.19
+   */
+  #drawFootprint(context, footprint) {
+    const tilesProgress = this.templateManager.getTemplateTilesProgress(footprint['template']);
+    const right = footprint['x'] + footprint['width'];
+    const bottom = footprint['y'] + footprint['height'];
+
+    context.globalAlpha = footprint['template'].enabled ? 0.8 : 0.3; // Disabled templates are faded
+
+    // For every tile the template covers...
+    for (let tileY = Math.floor(footprint['y'] / tileSize); tileY * tileSize < bottom; tileY++) {
+      for (let tileX = Math.floor(footprint['x'] / tileSize); tileX * tileSize < right; tileX++) {
+
+        const tileProgress = tilesProgress.get(globalToTilePixel(tileX * tileSize, tileY * tileSize).slice(0, 2).join(',')); // Wraps around the edge of the canvas
+        const seen = tileProgress ? tileProgress['correct'] + tileProgress['wrong'] + tileProgress['missing'] : 0;
+        context.fillStyle = (seen > 0)
+          ? `hsl(${Math.round(tileProgress['correct'] / seen * 120)}, 80%, 45%)` // Red to green
+          : 'gray'; // Not seen yet
+
+        // The part of the template on this tile
+        const [x1, y1] = this.#toCanvasPoint(Math.max(footprint['x'], tileX * tileSize), Math.max(footprint['y'], tileY * tileSize));
+        const [x2, y2] = this.#toCanvasPoint(Math.min(right, (tileX + 1) * tileSize), Math.min(bottom, (tileY + 1) * tileSize));
+        context.fillRect(x1, y1, Math.max(1, x2 - x1), Math.max(1, y2 - y1));
+      }
+    }
+
+    context.globalAlpha = 1;
+
+    // Outlines the template, at least 3 minimap pixels big so tiny templates can be found
+    const [x1, y1] = this.#toCanvasPoint(footprint['x'], footprint['y']);
+    const [x2, y2] = this.#toCanvasPoint(right, bottom);
+    const width = Math.max(3, x2 - x1);
+    const height = Math.max(3, y2 - y1);
+    context.strokeStyle = 'white';
+    context.lineWidth = 1;
+    context.strokeRect(Math.round(x1) + 0.5, Math.round(y1) + 0.5, Math.round(width), Math.round(height));
+  }
+}
@@ -226,6 +226,31 @@ export default class Overlay {
     return this;
   }
 
+  /** Adds a `canvas` to the overlay.
+   * This `canvas` element will have properties shared between all `canvas` elements in the overlay.
+   * You can override the shared properties by using a callback.
+   * @param {Object.<string, any>} [additionalProperties={}] - The DOM properties of the `canvas` that are NOT shared between all overlay `canvas` elements. These should be camelCase.
+   * @param {function(Overlay, HTMLCanvasElement):void} [callback=()=>{}] - Additional JS modification to the `canvas`.
+   * @returns {Overlay} Overlay class instance (this)
+   * @since 0.84.19
+   * @example
+   * // Assume all <canvas> elements have a shared class (e.g. {'className': 'bar'})
+   * overlay.addCanvas({'id': 'foo', 'width': 200, 'height': 100}).buildOverlay(document.body);
+   * // Output:
+   * // (Assume <body> already exists in the webpage)
+   * <body>
+   *   <canvas id="foo" width="200" height="100" class="bar"></canvas>
+   * </body>
+   */
+  addCanvas(additionalProperties = {}, callback = () => {}) {
+
+    const properties = {}; // Shared <canvas> DOM properties
+
+    const canvas = this.#createElement('canvas', properties, additionalProperties); // Creates the <canvas> element
+    callback(this, canvas); // Runs any script passed in through the callback
+    return this;
+  }
+
   /** Adds a header to the overlay.
    * This header element will have properties shared between all header elements in the overlay.
    * You can override the shared properties by using a callback.
@@ -334,6 +359,56 @@ export default class Overlay {
     return this;
   }
   
+  /** Adds a `select` (dropdown) to the overlay.
+   * This `select` element will have properties shared between all `select` elements in the overlay.
+   * You can override the shared properties by using a callback. Note: the `select` element is inside a label element.
+   * @param {Object.<string, any>} [additionalProperties={}] - The DOM properties of the `select` that are NOT shared between all overlay `select` elements. These should be camelCase. `options` is an array of `option` DOM properties.
+   * @param {function(Overlay, HTMLLabelElement, HTMLSelectElement):void} [callback=()=>{}] - Additional JS modification to the `select`.
+   * @returns {Overlay} Overlay class instance (this)
+   * @since 0.84.4
+   * @example
+   * // Assume all select elements have a shared class (e.g. {'className': 'bar'})
+   * overlay.addSelect({'id': 'foo', 'textContent': 'Foobar.', 'value': 'b', 'options': [{'value': 'a', 'textContent': 'A'}, {'value': 'b', 'textContent': 'B'}]}).buildOverlay(document.body);
+   * // Output:
+   * // (Assume <body> already exists in the webpage)
+   * <body>
+   *   <label>
+   *     "Foobar."
+   *     <select id="foo" class="bar">
+   *       <option value="a">A</option>
+   *       <option value="b" selected>B</option>
+   *     </select>
+   *   </label>
+   * </body>
+   */
+  addSelect(additionalProperties = {}, callback = () => {}) {
+
+    const properties = {}; // Shared <select> DOM properties
+
+    const options = additionalProperties['options'] ?? []; // Retrieves the options
+    const value = additionalProperties['value']; // Retrieves the selected value. It can only be applied after the options exist
+
+    // Deletes the properties that are not DOM properties of the select element
+    delete additionalProperties['options'];
+    delete additionalProperties['value'];
+
+    const label = this.#createElement('label', {'textContent': additionalProperties['textContent'] ?? ''}); // Creates the label element
+    delete additionalProperties['textContent']; // Deletes 'textContent' DOM property before adding the properties to the select
+    const select = this.#createElement('select', properties, additionalProperties); // Creates the select element
+
+    // Creates every option of the select element
+    for (const option of options) {
+      this.#createElement('option', {}, option);
+      this.buildElement(); // Signifies that we are done adding children to the option
+    }
+
+    if (value !== undefined) {select.value = value;} // Selects the passed in value
+
+    this.buildElement(); // Signifies that we are done adding children to the select
+    callback(this, label, select); // Runs any script passed in through the callback
+    return this;
+  }
+
   /** Adds a `button` to the overlay.
    * This `button` element will have properties shared between all `button` elements in the overlay.
    * You can override the shared properties by using a callback.
@@ -546,9 +621,10 @@ export default class Overlay {
    * Uses requestAnimationFrame for smooth animations and GPU-accelerated transforms.
    * @param {string} moveMe - The ID of the element to be moved
    * @param {string} iMoveThings - The ID of the drag handle element
+   * @param {function(number, number):void} [onDragEnd=()=>{}] - (Optional) Runs when the element is dropped, with the new position of the element (x, y)
    * @since 0.8.2
   */
-  handleDrag(moveMe, iMoveThings) {
+  handleDrag(moveMe, iMoveThings, onDragEnd = () => {}) {
     let isDragging = false;
     let offsetX, offsetY = 0;
     let animationFrame = null;
@@ -625,6 +701,8 @@ export default class Overlay {
     };
 
     const endDrag = () => {
+      if (!isDragging) {return;} // Kills itself if nothing is being dragged
+
       isDragging = false;
       if (animationFrame) {
         cancelAnimationFrame(animationFrame);
@@ -632,6 +710,15 @@ export default class Overlay {
       }
       document.body.style.userSelect = '';
       iMoveThings.classList.remove('dragging');
+
+      // Moves to where the element was dropped, since the last animation frame may not have caught up yet
+      currentX = targetX;
+      currentY = targetY;
+      moveMe.style.transform = `translate(${currentX}px, ${currentY}px)`;
+      moveMe.style.left = '0px';
+      moveMe.style.top = '0px';
+      moveMe.style.right = '';
+      onDragEnd(currentX, currentY);
     };
 
     // Mouse down - start dragging
@@ -673,6 +760,49 @@ export default class Overlay {
     document.addEventListener('touchcancel', endDrag);
   }
 
+  /** Moves an element to a position, the same way {@link handleDrag} does.
+   * The position is clamped so the element stays inside the viewport.
+   * Hidden elements have no size, so they are only kept on the screen by their top left corner. Call {@link clampPosition} once they are shown.
+   * @param {string} moveMe - The ID of the element to be moved
+   * @param {number} x - The distance from the left edge of the viewport, in pixels
+   * @param {number} y - The distance from the top edge of the viewport, in pixels
+   * @returns {Array<number>|null} The position the element was moved to, as [x, y], or null if the element was not found
+   * @since 0.84.25
+   */
+  setPosition(moveMe, x, y) {
+
+    moveMe = document.querySelector(moveMe?.[0] == '#' ? moveMe : '#' + moveMe); // Allows either '#id' or 'id' to be passed in
+
+    if (!moveMe) {return null;} // Kills itself if the element does not exist
+
+    const rect = moveMe.getBoundingClientRect();
+    x = Math.max(0, Math.min(window.innerWidth - rect.width, Number(x) || 0));
+    y = Math.max(0, Math.min(window.innerHeight - rect.height, Number(y) || 0));
+
+    moveMe.style.transform = `translate(${x}px, ${y}px)`;
+    moveMe.style.left = '0px';
+    moveMe.style.top = '0px';
+    moveMe.style.right = '';
+
+    return [x, y];
+  }
+  /** Moves an element that was moved by {@link handleDrag} or {@link setPosition} back inside the viewport.
+   * Call this whenever the element is shown, or grows, since it may no longer fit where it is.
+   * @param {string} moveMe - The ID of the element to be moved
+   * @returns {Array<number>|null} The position the element was moved to, as [x, y], or null if the element was not found or was never moved
+   * @since 0.84.25
+   */
+  clampPosition(moveMe) {
+
+    const element = document.querySelector(moveMe?.[0] == '#' ? moveMe : '#' + moveMe); // Allows either '#id' or 'id' to be passed in
+
+    if (!element?.style.transform) {return null;} // Kills itself if the element does not exist, or is where the stylesheet puts it
+
+    const matrix = new DOMMatrix(window.getComputedStyle(element).transform);
+    return this.setPosition(moveMe, matrix.m41, matrix.m42);
+  }
+
+
   /** Handles status display.
    * This will output plain text into the output Status box.
    * Additionally, this will output an info message to the console.
@@ -0,0 +1,145 @@
+/** A cache of rendered images, such as tiles that already have the templates drawn on them, or template chunks.
+ * Entries are evicted least recently used first, once the cache is larger than its memory budget.
+ * Values that are still in use (see {@link acquire}) are not freed until they are released, even when they leave the cache.
+ * @class RenderCache
+ * @since 0.84.13
+ */
+export default class RenderCache {
+
+  /** The constructor for the {@link RenderCache} class.
+   * @param {number} [budget=67108864] - The most bytes the cached values can take up (64 MiB by default)
+   * @param {function(any):number} [getSize=(blob)=>blob.size] - Measures how many bytes a cached value takes up. Blobs are measured by default
+   * @param {function(any):void} [onRemove=()=>{}] - Runs when a value leaves the cache (evicted, replaced, deleted or cleared), e.g. to free it
+   * @since 0.84.13
+   */
+  constructor(budget = 64 * 1024 * 1024, getSize = (blob) => blob.size, onRemove = () => {}) {
+    this.budget = budget; // The most bytes the cached values can take up
+    this.getSize = getSize; // Measures how many bytes a cached value takes up
+    this.onRemove = onRemove; // Runs when a value leaves the cache
+    this.size = 0; // The bytes the cached values take up
+    this.entries = new Map(); // The cached values. A Map remembers insertion order, so the first entry is the least recently used
+    this.pins = new Map(); // How many users each value in use has. These values are freed once the last user releases them
+  }
+
+  /** Retrieves a cached value, and marks it as the most recently used.
+   * @param {string} key - The key of the value
+   * @returns {any|undefined} The cached value, or undefined if it is not cached
+   * @since 0.84.13
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {return undefined;} // Kills itself if the value is not cached
+
+    // Moves the value to the end, since it was just used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry['value'];
+  }
+
+  /** Retrieves a cached value, and keeps it from being freed until it is released.
+   * Every acquired value must be released with {@link release} once it is no longer used.
+   * @param {string} key - The key of the value
+   * @returns {any|undefined} The cached value, or undefined if it is not cached
+   * @since 0.84.16
+   */
+  acquire(key) {
+    const value = this.get(key);
+
+    if (value !== undefined) {this.pin(value);}
+    return value;
+  }
+
+  /** Keeps a value from being freed until it is released, e.g. a value that was just cached.
+   * @param {any} value - The value
+   * @param {number} [count=1] - How many users the value has
+   * @since 0.84.16
+   */
+  pin(value, count = 1) {
+    if (count <= 0) {return;} // Kills itself if the value has no users
+
+    this.pins.set(value, (this.pins.get(value) ?? 0) + count);
+  }
+
+  /** Stops using a value that was acquired or pinned.
+   * The value is freed if it is no longer cached, and nothing else uses it.
+   * @param {any} value - The value
+   * @since 0.84.16
+   */
+  release(value) {
+    const count = this.pins.get(value);
+
+    if (!count) {return;} // Kills itself if the value was never acquired, e.g. a value this cache does not own
+
+    if (count > 1) {
+      this.pins.set(value, count - 1);
+      return;
+    }
+
+    this.pins.delete(value);
+    if (![...this.entries.values()].some(entry => entry['value'] === value)) {
+      this.onRemove(value); // It left the cache while it was used
+    }
+  }
+
+  /** Frees a value that left the cache, unless it is still in use.
+   * @param {any} value - The value
+   * @since 0.84.16
+   */
+  #free(value) {
+    if (this.pins.has(value)) {return;} // Kills itself if the value is still used. It is freed when it is released
+
+    this.onRemove(value);
+  }
+
+  /** Caches a value, then evicts the least recently used values until the cache fits in its budget.
+   * Values larger than the entire budget are not cached.
+   * @param {string} key - The key of the value
+   * @param {any} value - The value to cache
+   * @since 0.84.13
+   */
+  set(key, value) {
+    if (this.entries.get(key)?.['value'] === value) {return;} // Kills itself if the value is cached already
+
+    this.delete(key);
+
+    const size = this.getSize(value);
+    if (size > this.budget) {return;} // Kills itself if the value would never fit
+
+    this.entries.set(key, { 'value': value, 'size': size });
+    this.size += size;
+
+    // Evicts the least recently used values
+    for (const [oldKey, oldEntry] of this.entries) {
+      if (this.size <= this.budget) {break;}
+      this.entries.delete(oldKey);
+      this.size -= oldEntry['size'];
+      this.#free(oldEntry['value']);
+    }
+  }
+
+  /** Removes a value from the cache.
+   * @param {string} key - The key of the value
+   * @since 0.84.13
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {return;} // Kills itself if the value is not cached
+
+    this.entries.delete(key);
+    this.size -= entry['size'];
+    this.#free(entry['value']);
+  }
+
+  /** Removes every value from the cache.
+   * @since 0.84.13
+   */
+  clear() {
+    for (const entry of this.entries.values()) {
+      this.#free(entry['value']);
+    }
+    this.entries.clear();
+    this.size = 0;
+  }
+}
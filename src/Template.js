@@ -1,4 +1,8 @@
-import { uint8ToBase64 } from "./utils";
+import { countPalettePixels, countErasePixels } from "./paletteConverter.js";
+import RenderCache from "./RenderCache.js";
+import { createChunk } from "./tileProcessor.js";
+import { getMarkerKind, markerColors, markerAlphas, negativeSafeModulo } from "./utils.js";
+import { tileSize as canvasTileSize, tilePixelToGlobal, globalToTilePixel, createChunkKey, parseChunkKey } from "./coordinates.js";
 
 /** An instance of a template.
  * Handles all mathematics, manipulation, and analysis regarding a single template.
@@ -7,6 +11,45 @@ import { uint8ToBase64 } from "./utils";
  */
 export default class Template {
 
+  /** The ways a template can be drawn on the canvas.
+   * - "dots" draws the middle pixel of every pixel (default)
+   * - "fill" draws every pixel fully
+   * - "translucent" draws every pixel fully, at {@link renderOpacity}
+   * - "outline" only draws the edges of every color region
+   * @type {Array<string>}
+   * @since 0.84.11
+   */
+  static renderModes = ['dots', 'fill', 'translucent', 'outline'];
+
+  /** The chunks of every template, and their renders, that were created recently.
+   * Chunks are created when needed, so they are evicted once the cache is full (256 MiB of pixels).
+   * Evicted chunks are freed once they are released by everything still drawing with them (see {@link Template.releaseChunk}).
+   * @type {RenderCache}
+   * @since 0.84.16
+   */
+  static chunkCache = new RenderCache(256 * 1024 * 1024, (bitmap) => bitmap.width * bitmap.height * 4, (bitmap) => bitmap.close());
+
+  /** Stops using a chunk from {@link getChunk} or {@link getRenderedChunk}, so it can be freed once it is evicted.
+   * Chunks of templates without a source image are never freed, so releasing them does nothing.
+   * @param {ImageBitmap} bitmap - The chunk
+   * @since 0.84.16
+   */
+  static releaseChunk(bitmap) {
+    Template.chunkCache.release(bitmap);
+  }
+
+  /** The tile worker that chunks are created in. Later populated by the {@link TemplateManager}
+   * @type {import('./TileWorker.js').default|null}
+   * @since 0.84.16
+   */
+  static tileWorker = null;
+
+  /** The last cache ID given to a template. See {@link cacheID}
+   * @type {number}
+   * @since 0.84.16
+   */
+  static #lastCacheID = 0;
+
   /** The constructor for the {@link Template} class with enhanced pixel tracking.
    * @param {Object} [params={}] - Object containing all optional parameters
    * @param {string} [params.displayName='My template'] - The display name of the template
@@ -15,9 +58,16 @@ export default class Template {
    * @param {string} [params.url=''] - The URL to the source image
    * @param {File} [params.file=null] - The template file (pre-processed File or processed bitmap)
    * @param {Array<number>} [params.coords=null] - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
-   * @param {Object} [params.chunked=null] - The affected chunks of the template, and their template for each chunk
+   * @param {Object} [params.chunked=null] - The chunks of templates without a source image, keyed by chunk key. Templates with a source image create their chunks when needed
    * @param {number} [params.tileSize=1000] - The size of a tile in pixels (assumes square tiles)
    * @param {number} [params.pixelCount=0] - Total number of pixels in the template (calculated automatically during processing)
+   * @param {number} [params.erasePixelCount=0] - Number of erase marker pixels in the template, which are not in the pixel count (calculated automatically during processing)
+   * @param {number} [params.width=0] - The width of the template in pixels (calculated automatically during processing)
+   * @param {number} [params.height=0] - The height of the template in pixels (calculated automatically during processing)
+   * @param {Object.<number, number>} [params.colorCounts={}] - How many pixels of each palette color ID the template has (calculated automatically during processing)
+   * @param {boolean} [params.enabled=true] - Should the template be drawn and analyzed?
+   * @param {string} [params.renderMode='dots'] - How the template is drawn on the canvas. See {@link Template.renderModes}
+   * @param {number} [params.renderOpacity=0.5] - The opacity of the template when the render mode is "translucent" (0 to 1)
    * @since 0.65.2
    */
   constructor({
@@ -28,7 +78,15 @@ export default class Template {
     file = null,
     coords = null,
     chunked = null,
-    tileSize = 1000,
+    tileSize = canvasTileSize,
+    pixelCount = 0,
+    erasePixelCount = 0,
+    width = 0,
+    height = 0,
+    colorCounts = {},
+    enabled = true,
+    renderMode = 'dots',
+    renderOpacity = 0.5,
   } = {}) {
     this.displayName = displayName;
     this.sortID = sortID;
@@ -38,123 +96,354 @@ export default class Template {
     this.coords = coords;
     this.chunked = chunked;
     this.tileSize = tileSize;
-    this.pixelCount = 0; // Total pixel count in template
+    this.pixelCount = pixelCount; // Total pixel count in template
+    this.erasePixelCount = erasePixelCount; // Erase marker pixel count in template. These are not in the pixel count
+    this.width = width; // Width of the template in pixels
+    this.height = height; // Height of the template in pixels
+    this.colorCounts = colorCounts; // Pixel count of each palette color ID in the template
+    this.enabled = enabled; // Should the template be drawn and analyzed?
+    this.renderMode = renderMode; // How the template is drawn on the canvas
+    this.renderOpacity = renderOpacity; // The opacity of the template when drawn "translucent"
+    this.shreadSize = 3; // Scale image factor for pixel art enhancement (must be odd)
+    this.chunkPixelCounts = {}; // The paintable pixel count of each chunk, keyed by chunk key (calculated automatically during processing)
+    this.chunkLayout = {}; // The area of the source image in each chunk as [x, y, width, height], keyed by chunk key (calculated automatically during processing)
+    this.bitmap = null; // The source image, which chunks are created from (created automatically during processing)
+    this.cacheID = ++Template.#lastCacheID; // Identifies the chunks of this template in the chunk cache. Changes whenever the chunks are prepared again
+    this.chunkPromises = new Map(); // The chunks that are being created, keyed by cache key, as {waiting, promise}
   }
 
-  /** Creates chunks of the template for each tile.
-   * 
-   * @returns {Object} Collection of template bitmaps & buffers organized by tile coordinates
+  /** Counts the paintable pixels of the template, and how many pixels of each palette color there are.
+   * Transparent pixels and markers are not counted. Erase markers are counted on their own.
+   * The results are stored in {@link pixelCount}, {@link colorCounts} and {@link erasePixelCount}.
+   * @param {Uint8ClampedArray} data - The RGBA pixels of the entire template
+   * @returns {Object.<number, number>} Pixel count of each palette color ID
+   * @since 0.84.6
+   */
+  countPixels(data) {
+    const colorCounts = countPalettePixels(data);
+    const pixelCount = Object.values(colorCounts).reduce((sum, count) => sum + count, 0);
+
+    this.pixelCount = pixelCount;
+    this.colorCounts = colorCounts;
+    this.erasePixelCount = countErasePixels(data);
+    return colorCounts;
+  }
+
+  /** Counts the paintable pixels of a template that was loaded without its source image, from its stored chunks.
+   * Only the middle pixel of every enlarged pixel holds the template color. Markers are tagged in the middle pixel (see {@link markerAlphas}), and are not counted as paintable pixels.
+   * The results are stored in {@link pixelCount}, {@link colorCounts}, {@link erasePixelCount} and {@link chunkPixelCounts}.
+   * @since 0.84.8
+   */
+  countChunkedPixels() {
+    const shreadSize = this.shreadSize;
+    const middle = Math.floor(shreadSize / 2); // Offset of the middle pixel of a block
+    const colorCounts = {};
+    const chunkPixelCounts = {};
+    let erasePixelCount = 0;
+
+    for (const [chunkKey, chunk] of Object.entries(this.chunked ?? {})) {
+      const canvas = new OffscreenCanvas(chunk.width, chunk.height);
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(chunk, 0, 0);
+      const data = context.getImageData(0, 0, chunk.width, chunk.height).data;
+
+      // The middle pixel of every block, with tagged markers turned back into their marker color
+      const blocksX = Math.floor(chunk.width / shreadSize);
+      const blocksY = Math.floor(chunk.height / shreadSize);
+      const middlePixels = new Uint8ClampedArray(blocksX * blocksY * 4);
+      for (let blockY = 0; blockY < blocksY; blockY++) {
+        for (let blockX = 0; blockX < blocksX; blockX++) {
+          const index = ((blockY * shreadSize + middle) * chunk.width + (blockX * shreadSize + middle)) * 4;
+          const rgba = data.slice(index, index + 4);
+          const markerKind = (rgba[0] || rgba[1] || rgba[2]) ? null : Object.keys(markerAlphas).find(kind => markerAlphas[kind] === rgba[3]); // Tags are always black
+          middlePixels.set(markerKind ? [...markerColors[markerKind], 255] : rgba, (blockY * blocksX + blockX) * 4);
+        }
+      }
+
+      const chunkColorCounts = countPalettePixels(middlePixels);
+      chunkPixelCounts[chunkKey] = Object.values(chunkColorCounts).reduce((sum, count) => sum + count, 0);
+      for (const [colorID, count] of Object.entries(chunkColorCounts)) {
+        colorCounts[colorID] = (colorCounts[colorID] || 0) + count;
+      }
+      erasePixelCount += countErasePixels(middlePixels);
+    }
+
+    this.pixelCount = Object.values(chunkPixelCounts).reduce((sum, count) => sum + count, 0);
+    this.colorCounts = colorCounts;
+    this.erasePixelCount = erasePixelCount;
+    this.chunkPixelCounts = chunkPixelCounts;
+  }
+
+  /** Prepares the chunks of the template for each tile.
+   * The chunks are not created here. Each chunk is created the first time it is needed (see {@link getChunk}), and kept in a bounded cache.
+   * This only measures the template, and counts the paintable pixels of the template and of every chunk.
+   * @param {function(number):void} [onProgress=()=>{}] - Called with how much of the template is prepared, from 0 to 1
+   * @returns {Promise<Array<string>>} The "0000,0000,000,000" keys of every chunk
    * @since 0.65.4
    */
-  async createTemplateTiles() {
-    const shreadSize = 3; // Scale image factor for pixel art enhancement (must be odd)
+  async createTemplateTiles(onProgress = () => {}) {
     const bitmap = await createImageBitmap(this.file); // Create efficient bitmap from uploaded file
     const imageWidth = bitmap.width;
     const imageHeight = bitmap.height;
+
+    const canvas = new OffscreenCanvas(imageWidth, imageHeight);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const imageData = context.getImageData(0, 0, imageWidth, imageHeight).data;
     
-    // Calculate total pixel count using standard width × height formula
-    // TODO: Use non-transparent pixels instead of basic width times height
-    const totalPixels = imageWidth * imageHeight;
-    console.log(`%cBlue Marble%c: Template analysis - Dimensions: ${imageWidth}×${imageHeight} (${totalPixels.toLocaleString()} pixels)`, 'color: cornflowerblue;', '');
+    // Count only the pixels that have a target color (not transparent, not a marker)
+    this.countPixels(imageData);
+    console.log(`%cBlue Marble%c: Template analysis - Dimensions: ${imageWidth}×${imageHeight} (${this.pixelCount.toLocaleString()} paintable pixels)`, 'color: cornflowerblue;', '');
     
-    // Store pixel count in instance property for access by template manager and UI components
-    this.pixelCount = totalPixels;
+    // Store dimensions in instance properties for access by template manager and UI components
+    this.width = imageWidth;
+    this.height = imageHeight;
 
-    const templateTiles = {}; // Holds the template tiles
-    const templateTilesBuffers = {}; // Holds the buffers of the template tiles
+    const chunkLayout = {}; // Holds the area of the source image in each template tile
+    const chunkPixelCounts = {}; // Holds the paintable pixel count of each template tile
 
-    const canvas = new OffscreenCanvas(this.tileSize, this.tileSize);
-    const context = canvas.getContext('2d', { willReadFrequently: true });
+    const [templateX, templateY] = tilePixelToGlobal(...this.coords); // Global position of the top left corner of the template
 
     // For every tile...
-    for (let pixelY = this.coords[3]; pixelY < imageHeight + this.coords[3]; ) {
+    for (let pixelY = templateY; pixelY < imageHeight + templateY; ) {
 
       // Draws the partial tile first, if any
       // This calculates the size based on which is smaller:
       // A. The top left corner of the current tile to the bottom right corner of the current tile
       // B. The top left corner of the current tile to the bottom right corner of the image
-      const drawSizeY = Math.min(this.tileSize - (pixelY % this.tileSize), imageHeight - (pixelY - this.coords[3]));
+      const drawSizeY = Math.min(this.tileSize - negativeSafeModulo(pixelY, this.tileSize), imageHeight - (pixelY - templateY));
 
-      for (let pixelX = this.coords[2]; pixelX < imageWidth + this.coords[2];) {
+      for (let pixelX = templateX; pixelX < imageWidth + templateX;) {
 
         // Draws the partial tile first, if any
         // This calculates the size based on which is smaller:
         // A. The top left corner of the current tile to the bottom right corner of the current tile
         // B. The top left corner of the current tile to the bottom right corner of the image
-        const drawSizeX = Math.min(this.tileSize - (pixelX % this.tileSize), imageWidth - (pixelX - this.coords[2]));
-
-        // Change the canvas size and wipe the canvas
-        const canvasWidth = drawSizeX * shreadSize;// + (pixelX % this.tileSize) * shreadSize;
-        const canvasHeight = drawSizeY * shreadSize;// + (pixelY % this.tileSize) * shreadSize;
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
-
-        context.imageSmoothingEnabled = false; // Nearest neighbor
-
-        // Draws the template segment on this tile segment
-        context.clearRect(0, 0, canvasWidth, canvasHeight); // Clear any previous drawing (only runs when canvas size does not change)
-        context.drawImage(
-          bitmap, // Bitmap image to draw
-          pixelX - this.coords[2], // Coordinate X to draw from
-          pixelY - this.coords[3], // Coordinate Y to draw from
-          drawSizeX, // X width to draw from
-          drawSizeY, // Y height to draw from
-          0, // Coordinate X to draw at
-          0, // Coordinate Y to draw at
-          drawSizeX * shreadSize, // X width to draw at
-          drawSizeY * shreadSize // Y height to draw at
-        ); // Coordinates and size of draw area of source image, then canvas
-
-        const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight); // Data of the image on the canvas
-
-        for (let y = 0; y < canvasHeight; y++) {
-          for (let x = 0; x < canvasWidth; x++) {
-            // For every pixel...
-            const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
-            // If the pixel is the color #deface, draw a translucent gray checkerboard pattern
-            if (
-              imageData.data[pixelIndex] === 222 &&
-              imageData.data[pixelIndex + 1] === 250 &&
-              imageData.data[pixelIndex + 2] === 206
-            ) {
-              if ((x + y) % 2 === 0) { // Formula for checkerboard pattern
-                imageData.data[pixelIndex] = 0;
-                imageData.data[pixelIndex + 1] = 0;
-                imageData.data[pixelIndex + 2] = 0;
-                imageData.data[pixelIndex + 3] = 32; // Translucent black
-              } else { // Transparent negative space
-                imageData.data[pixelIndex + 3] = 0;
-              }
-            } else if (x % shreadSize !== 1 || y % shreadSize !== 1) { // Otherwise only draw the middle pixel
-              imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
-            }
+        const drawSizeX = Math.min(this.tileSize - negativeSafeModulo(pixelX, this.tileSize), imageWidth - (pixelX - templateX));
+
+        const sourceX = pixelX - templateX; // Coordinate X of the template tile in the source image
+        const sourceY = pixelY - templateY; // Coordinate Y of the template tile in the source image
+
+        // Counts the paintable pixels in this template tile
+        let chunkPixelCount = 0;
+        for (let y = sourceY; y < sourceY + drawSizeY; y++) {
+          for (let x = sourceX; x < sourceX + drawSizeX; x++) {
+            const pixelIndex = (y * imageWidth + x) * 4;
+            if (imageData[pixelIndex + 3] <= 128) {continue;} // Skips transparent pixels
+            if (getMarkerKind(imageData[pixelIndex], imageData[pixelIndex + 1], imageData[pixelIndex + 2])) {continue;} // Skips markers, which are not paint
+            chunkPixelCount++;
           }
         }
 
-        context.putImageData(imageData, 0, 0);
-
-        // Creates the "0000,0000,000,000" key name
-        const templateTileName = `${(this.coords[0] + Math.floor(pixelX / 1000))
-          .toString()
-          .padStart(4, '0')},${(this.coords[1] + Math.floor(pixelY / 1000))
-          .toString()
-          .padStart(4, '0')},${(pixelX % 1000)
-          .toString()
-          .padStart(3, '0')},${(pixelY % 1000).toString().padStart(3, '0')}`;
+        const templateTileName = createChunkKey(...globalToTilePixel(pixelX, pixelY)); // Creates the "0000,0000,000,000" key name. Wraps around the edge of the canvas
 
-        templateTiles[templateTileName] = await createImageBitmap(canvas); // Creates the bitmap
-        
-        const canvasBlob = await canvas.convertToBlob();
-        const canvasBuffer = await canvasBlob.arrayBuffer();
-        const canvasBufferBytes = Array.from(new Uint8Array(canvasBuffer));
-        templateTilesBuffers[templateTileName] = uint8ToBase64(canvasBufferBytes); // Stores the buffer
+        chunkLayout[templateTileName] = [sourceX, sourceY, drawSizeX, drawSizeY];
+        chunkPixelCounts[templateTileName] = chunkPixelCount;
 
         pixelX += drawSizeX;
       }
 
       pixelY += drawSizeY;
+
+      onProgress(Math.min(1, (pixelY - templateY) / imageHeight));
+      await new Promise(resolve => setTimeout(resolve, 0)); // Lets the page update (e.g. the progress) between rows of tiles
+    }
+
+    // Frees the source image the template was prepared with before, once the chunks still being created from it are done
+    const oldBitmap = this.bitmap;
+    this.bitmap = bitmap;
+    if (oldBitmap) {
+      Promise.allSettled([...this.chunkPromises.values()].map(creation => creation['promise'])).then(() => oldBitmap.close());
+    }
+
+    this.chunked = null; // Chunks are created from the source image, so none are stored
+    this.chunkLayout = chunkLayout;
+    this.chunkPixelCounts = chunkPixelCounts;
+    this.cacheID = ++Template.#lastCacheID; // The old chunks (and their renders) are outdated, so they are never used again
+
+    return Object.keys(chunkLayout);
+  }
+
+  /** Retrieves the keys of every chunk of the template.
+   * @returns {Array<string>} The "0000,0000,000,000" keys of every chunk
+   * @since 0.84.16
+   */
+  getChunkKeys() {
+    return Object.keys(this.chunked ?? this.chunkLayout);
+  }
+
+  /** Retrieves a chunk of the template, creating it if it is not cached.
+   * Templates loaded without a source image keep all of their chunks, since the chunks can not be created again.
+   * The chunk is not freed until it is released with {@link Template.releaseChunk}, so release it once it is drawn.
+   * @param {string} chunkKey - The "0000,0000,000,000" key of the chunk
+   * @returns {Promise<ImageBitmap|undefined>} The chunk, or undefined if the template has no such chunk
+   * @since 0.84.16
+   */
+  async getChunk(chunkKey) {
+
+    if (this.chunked) {return this.chunked[chunkKey];} // Templates without a source image keep all of their chunks
+
+    const chunkArea = this.chunkLayout[chunkKey];
+    if (!chunkArea) {return undefined;} // Kills itself if the template has no such chunk
+
+    const cacheKey = `${this.cacheID} ${chunkKey}`;
+    const cached = Template.chunkCache.acquire(cacheKey);
+    if (cached) {return cached;}
+
+    // Creates the chunk, unless it is being created already
+    if (!this.chunkPromises.has(cacheKey)) {
+      const creation = { 'waiting': 0, 'promise': null }; // How many callers wait for the chunk
+      creation['promise'] = this.#createChunk(chunkArea)
+        .then(bitmap => {
+          Template.chunkCache.set(cacheKey, bitmap);
+          Template.chunkCache.pin(bitmap, creation['waiting']); // Every caller waiting for the chunk uses it. Callers after this find it cached
+          return bitmap;
+        })
+        .finally(() => this.chunkPromises.delete(cacheKey));
+      this.chunkPromises.set(cacheKey, creation);
+    }
+
+    const creation = this.chunkPromises.get(cacheKey);
+    creation['waiting']++;
+    return await creation['promise'];
+  }
+
+  /** Creates a chunk of the template from the source image, in the tile worker.
+   * See {@link createChunk} for how the chunk is drawn.
+   * @param {Array<number>} chunkArea - The area of the source image in the chunk, as [x, y, width, height]
+   * @returns {Promise<ImageBitmap>} The chunk
+   * @since 0.84.16
+   */
+  async #createChunk([sourceX, sourceY, drawSizeX, drawSizeY]) {
+    const area = await createImageBitmap(this.bitmap, sourceX, sourceY, drawSizeX, drawSizeY); // Only the part of the source image in the chunk is sent to the worker
+
+    try {
+      return Template.tileWorker
+        ? await Template.tileWorker.run('createChunk', area, this.shreadSize, markerColors)
+        : await createChunk(area, this.shreadSize, markerColors); // Runs on the main thread if there is no tile worker
+    } finally {
+      area.close(); // The worker has a copy
+    }
+  }
+
+  /** Retrieves a chunk of the template, drawn in the current render mode.
+   * The render is created from the chunk (not the source image), and cached with the chunks.
+   * Only the look of the chunk changes. The chunk used for analysis is untouched.
+   * The render is not freed until it is released with {@link Template.releaseChunk}, so release it once it is drawn.
+   * @param {string} chunkKey - The "0000,0000,000,000" key of the chunk
+   * @returns {Promise<ImageBitmap|undefined>} The chunk, drawn in the current render mode
+   * @since 0.84.11
+   */
+  async getRenderedChunk(chunkKey) {
+    const chunk = await this.getChunk(chunkKey);
+
+    if (!chunk || this.renderMode == 'dots') {return chunk;} // Dots are how chunks are drawn already
+
+    try {
+      return await this.#renderChunk(chunk, chunkKey);
+    } finally {
+      Template.releaseChunk(chunk); // Only the render is used from here on
+    }
+  }
+
+  /** Retrieves the render of a chunk in the current render mode, creating it if it is not cached.
+   * @param {ImageBitmap} chunk - The chunk
+   * @param {string} chunkKey - The "0000,0000,000,000" key of the chunk
+   * @returns {Promise<ImageBitmap>} The chunk, drawn in the current render mode. It is kept until it is released
+   * @since 0.84.16
+   */
+  async #renderChunk(chunk, chunkKey) {
+    const renderKey = this.renderMode == 'outline' ? 'outline' : 'fill'; // "translucent" is "fill" drawn with less opacity
+    const cacheKey = `${this.cacheID} ${chunkKey} ${renderKey}`;
+    const cached = Template.chunkCache.acquire(cacheKey);
+    if (cached) {return cached;}
+
+    const canvas = new OffscreenCanvas(chunk.width, chunk.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(chunk, 0, 0);
+    const imageData = context.getImageData(0, 0, chunk.width, chunk.height);
+
+    const chunkPosition = tilePixelToGlobal(...parseChunkKey(chunkKey)); // Absolute position of the chunk
+    const rendered = this.#renderChunkPixels(imageData.data, chunk.width, chunk.height, renderKey, chunkPosition);
+    imageData.data.set(rendered);
+    context.putImageData(imageData, 0, 0);
+
+    const bitmap = await createImageBitmap(canvas);
+    Template.chunkCache.set(cacheKey, bitmap);
+    Template.chunkCache.pin(bitmap);
+    return bitmap;
+  }
+
+  /** Redraws the pixels of a chunk as "fill" or "outline".
+   * Every template pixel is a block of {@link shreadSize} by {@link shreadSize} pixels, with the color in the middle.
+   * Blocks without an opaque middle (transparent, or markers) are copied as-is.
+   * @param {Uint8ClampedArray} data - The RGBA pixels of the chunk
+   * @param {number} width - The width of the chunk, in canvas pixels
+   * @param {number} height - The height of the chunk, in canvas pixels
+   * @param {'fill'|'outline'} renderKey - How to draw the chunk
+   * @param {Array<number>} chunkPosition - The absolute position of the top left corner of the chunk, in template pixels
+   * @returns {Uint8ClampedArray} The RGBA pixels of the redrawn chunk
+   * @since 0.84.11
+   */
+  #renderChunkPixels(data, width, height, renderKey, chunkPosition) {
+    const shreadSize = this.shreadSize;
+    const middle = Math.floor(shreadSize / 2); // Offset of the middle pixel of a block
+    const blocksX = width / shreadSize;
+    const blocksY = height / shreadSize;
+    const output = new Uint8ClampedArray(data);
+
+    // The absolute position of the template, so edges of the template can be told apart from edges of the chunk
+    const templatePosition = this.coords ? tilePixelToGlobal(...this.coords) : null;
+
+    /** Retrieves the color of a block as a number, or null if the block is not an opaque color. Blocks outside the chunk, but inside the template, are unknown (undefined) */
+    const getBlockColor = (blockX, blockY) => {
+      if (blockX < 0 || blockY < 0 || blockX >= blocksX || blockY >= blocksY) {
+        const absoluteX = chunkPosition[0] + blockX;
+        const absoluteY = chunkPosition[1] + blockY;
+        const isInsideTemplate = templatePosition
+          && absoluteX >= templatePosition[0] && absoluteX < templatePosition[0] + this.width
+          && absoluteY >= templatePosition[1] && absoluteY < templatePosition[1] + this.height;
+        return isInsideTemplate ? undefined : null;
+      }
+      const index = ((blockY * shreadSize + middle) * width + (blockX * shreadSize + middle)) * 4;
+      return (data[index + 3] === 255) ? ((data[index] << 16) | (data[index + 1] << 8) | data[index + 2]) : null;
+    };
+
+    for (let blockY = 0; blockY < blocksY; blockY++) {
+      for (let blockX = 0; blockX < blocksX; blockX++) {
+
+        const color = getBlockColor(blockX, blockY);
+        if (color === null) {continue;} // Transparent and marker blocks stay as they are
+
+        // Which sides of the block border a different color. Unknown neighbours (in another chunk) are not borders
+        const isEdge = (neighbourColor) => (neighbourColor !== undefined) && (neighbourColor !== color);
+        const edges = {
+          'top': isEdge(getBlockColor(blockX, blockY - 1)),
+          'bottom': isEdge(getBlockColor(blockX, blockY + 1)),
+          'left': isEdge(getBlockColor(blockX - 1, blockY)),
+          'right': isEdge(getBlockColor(blockX + 1, blockY))
+        };
+
+        const middleIndex = ((blockY * shreadSize + middle) * width + (blockX * shreadSize + middle)) * 4;
+        const rgba = data.slice(middleIndex, middleIndex + 4);
+
+        for (let y = 0; y < shreadSize; y++) {
+          for (let x = 0; x < shreadSize; x++) {
+            const isDrawn = (renderKey == 'fill')
+              || (edges['top'] && y === 0) || (edges['bottom'] && y === shreadSize - 1)
+              || (edges['left'] && x === 0) || (edges['right'] && x === shreadSize - 1);
+
+            const index = ((blockY * shreadSize + y) * width + (blockX * shreadSize + x)) * 4;
+            if (isDrawn) {
+              output.set(rgba, index);
+            } else {
+              output[index + 3] = 0; // Make the pixel transparent on the alpha channel
+            }
+          }
+        }
+      }
     }
 
-    return { templateTiles, templateTilesBuffers };
+    return output;
   }
 }
\ No newline at end of file
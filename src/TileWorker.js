@@ -0,0 +1,85 @@
+import tileWorkerSource from './tileWorkerScript.js?worker';
+import * as tileProcessor from './tileProcessor.js';
+import { consoleWarn } from './utils.js';
+
+/** Runs the tile processor in a Web Worker, so analyzing and drawing tiles does not freeze the page.
+ * If the worker can not be started (e.g. the website blocks it), the tile processor runs on the main thread instead.
+ * @class TileWorker
+ * @since 0.84.14
+ */
+export default class TileWorker {
+
+  /** The constructor for the {@link TileWorker} class.
+   * The worker is started right away.
+   * @since 0.84.14
+   */
+  constructor() {
+    this.worker = null; // The Web Worker, or null if it could not be started
+    this.requests = new Map(); // The tasks waiting for a reply from the worker, keyed by request ID
+    this.requestID = 0; // The ID of the last request
+
+    try {
+      const url = URL.createObjectURL(new Blob([tileWorkerSource], { type: 'text/javascript' }));
+      this.worker = new Worker(url);
+      URL.revokeObjectURL(url); // The worker already has the script
+
+      this.worker.addEventListener('message', (event) => this.#handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => this.#handleWorkerError(event));
+    } catch (error) {
+      this.#handleWorkerError(error);
+    }
+  }
+
+  /** Runs a task of the tile processor.
+   * @param {'analyzeTile'|'measureTemplatesProgress'|'drawTile'|'createChunk'} task - The name of the function of the tile processor to run
+   * @param {...any} args - The arguments of the function. They must be structured-cloneable
+   * @returns {Promise<any>} The result of the function
+   * @since 0.84.14
+   */
+  run(task, ...args) {
+
+    if (!this.worker) {return tileProcessor[task](...args);} // Runs on the main thread if there is no worker
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.requestID;
+      this.requests.set(id, { 'task': task, 'args': args, 'resolve': resolve, 'reject': reject });
+      this.worker.postMessage({ 'id': id, 'task': task, 'args': args });
+    });
+  }
+
+  /** Handles a reply from the worker by settling the matching request.
+   * @param {{id: number, result?: any, error?: string}} data - The reply
+   * @since 0.84.14
+   */
+  #handleMessage(data) {
+    const request = this.requests.get(data['id']);
+
+    if (!request) {return;} // Kills itself if the request is unknown
+
+    this.requests.delete(data['id']);
+
+    if (data['error'] !== undefined) {
+      request['reject'](new Error(data['error']));
+    } else {
+      request['resolve'](data['result']);
+    }
+  }
+
+  /** Stops using the worker, and runs every waiting request on the main thread instead.
+   * @param {Error|ErrorEvent} error - The reason the worker failed
+   * @since 0.84.14
+   */
+  #handleWorkerError(error) {
+    consoleWarn(`Tile worker failed! Tiles will be processed on the main thread instead.`, error?.message ?? error);
+
+    this.worker?.terminate();
+    this.worker = null;
+
+    // Runs the requests that the worker never replied to
+    const requests = [...this.requests.values()];
+    this.requests.clear();
+    for (const request of requests) {
+      this.run(request['task'], ...request['args']).then(request['resolve'], request['reject']);
+    }
+  }
+}
@@ -5,7 +5,8 @@
  */
 
 import TemplateManager from "./templateManager.js";
-import { escapeHTML, numberToEncoded, serverTPtoDisplayTP } from "./utils.js";
+import { escapeHTML, numberToEncoded } from "./utils.js";
+import { tilePixelToDisplay } from "./coordinates.js";
 
 export default class ApiManager {
 
@@ -117,7 +118,11 @@ export default class ApiManager {
                   availableColors[i] = false;
               }
           }
-          localStorage.setItem('bm-available-colors', JSON.stringify(availableColors));
+          const availableColorsJSON = JSON.stringify(availableColors);
+          if (availableColorsJSON !== localStorage.getItem('bm-available-colors')) {
+            localStorage.setItem('bm-available-colors', availableColorsJSON);
+            this.templateManager.handleOwnedColorsChanged(); // Tiles drawn with the old owned colors are outdated
+          }
           break;
 
         case 'pixel': // Request to retrieve pixel data
@@ -131,7 +136,7 @@ export default class ApiManager {
           }
           
           this.coordsTilePixel = [...coordsTile, ...coordsPixel];
-          const displayTP = serverTPtoDisplayTP(coordsTile, coordsPixel);
+          const displayTP = tilePixelToDisplay(...[...coordsTile, ...coordsPixel].map(Number));
           
           const spanElements = document.querySelectorAll('span');
           for (const element of spanElements) {
@@ -155,11 +160,18 @@ export default class ApiManager {
         case 'tiles':
           let tileCoordsTile = data['endpoint'].split('/');
           tileCoordsTile = [parseInt(tileCoordsTile[tileCoordsTile.length - 2]), parseInt(tileCoordsTile[tileCoordsTile.length - 1].replace('.png', ''))];
-          const templateBlob = await this.templateManager.drawTemplateOnTile(data['blobData'], tileCoordsTile);
+          let templateBlob = data['blobData']; // The original tile is sent back if drawing fails, so the map never waits for the tile forever
+          try {
+            templateBlob = await this.templateManager.drawTemplateOnTile(data['blobData'], tileCoordsTile);
+          } catch (error) {
+            console.error(`Could not draw the templates on tile ${tileCoordsTile.join(', ')}:`, error);
+            overlay.handleDisplayError(`Could not draw the templates on tile ${tileCoordsTile.join(', ')}! The tile is shown without them.`);
+          }
           window.postMessage({
             source: 'blue-marble',
             blobID: data['blobID'],
             blobData: templateBlob,
+            maxAge: this.templateManager.getPlacementTileMaxAge(tileCoordsTile), // Tiles around a template being placed expire quickly, so the map asks for them again after it moves. The injected script answers from its copy of the tile
             blink: data['blink']
           });
           break;
@@ -0,0 +1,235 @@
+/** @file Converts between the coordinate systems of the canvas.
+ * - Tile and pixel: the coordinates the server uses, as (tileX, tileY, pixelX, pixelY)
+ * - Global: the absolute pixel on the canvas, as (x, y)
+ * - Display: the coordinates wplace.live shows on screen, which only repeat every 4 tiles
+ * - Latitude and longitude: the position on the map, which wplace.live links use
+ *
+ * The canvas wraps around horizontally (like the map), so X coordinates past the edge continue on the other side. Y coordinates do not wrap.
+ * @since 0.84.20
+ */
+
+import { negativeSafeModulo } from './utils.js';
+
+/** The number of pixels in a tile. Tiles are square.
+ * @type {number}
+ * @since 0.84.20
+ */
+export const tileSize = 1000;
+
+/** The number of tiles across the canvas, both horizontally and vertically.
+ * @type {number}
+ * @since 0.84.20
+ */
+export const worldTiles = 2048;
+
+/** The number of pixels across the canvas, both horizontally and vertically.
+ * @type {number}
+ * @since 0.84.20
+ */
+export const worldSize = tileSize * worldTiles;
+
+/** Converts tile and pixel coordinates to a global pixel.
+ * Pixel coordinates outside of the tile (e.g. negative) continue into the neighbouring tiles.
+ * @param {number} tileX - The X coordinate of the tile
+ * @param {number} tileY - The Y coordinate of the tile
+ * @param {number} pixelX - The X coordinate of the pixel in the tile
+ * @param {number} pixelY - The Y coordinate of the pixel in the tile
+ * @returns {Array<number>} The global pixel, as [x, y]
+ * @since 0.84.20
+ * @example
+ * console.log(tilePixelToGlobal(1, 2, 3, 4)); // [1003, 2004]
+ * console.log(tilePixelToGlobal(0, 0, -1, 0)); // [2047999, 0] (wraps around)
+ */
+export function tilePixelToGlobal(tileX, tileY, pixelX, pixelY) {
+  return [negativeSafeModulo(tileX * tileSize + pixelX, worldSize), tileY * tileSize + pixelY];
+}
+
+/** Converts a global pixel to tile and pixel coordinates.
+ * @param {number} x - The global X coordinate
+ * @param {number} y - The global Y coordinate
+ * @returns {Array<number>} The coordinates, as [tileX, tileY, pixelX, pixelY]
+ * @since 0.84.20
+ * @example
+ * console.log(globalToTilePixel(1003, 2004)); // [1, 2, 3, 4]
+ * console.log(globalToTilePixel(-1, 5)); // [2047, 0, 999, 5] (wraps around)
+ */
+export function globalToTilePixel(x, y) {
+  x = negativeSafeModulo(x, worldSize);
+  return [Math.floor(x / tileSize), Math.floor(y / tileSize), negativeSafeModulo(x, tileSize), negativeSafeModulo(y, tileSize)];
+}
+
+/** Moves tile and pixel coordinates by a number of pixels, across tile boundaries.
+ * X wraps around the canvas. Y stops at the top and bottom edges, since the map does not wrap vertically.
+ * @param {Array<number>} coords - The coordinates, as [tileX, tileY, pixelX, pixelY]
+ * @param {number} deltaX - The pixels to move right (negative moves left)
+ * @param {number} deltaY - The pixels to move down (negative moves up)
+ * @returns {Array<number>} The moved coordinates, as [tileX, tileY, pixelX, pixelY]
+ * @since 0.84.20
+ * @example
+ * console.log(offsetTilePixel([1, 1, 999, 0], 1, -1)); // [2, 0, 0, 999]
+ * console.log(offsetTilePixel([0, 0, 0, 0], 0, -1)); // [0, 0, 0, 0] (stops at the top edge)
+ */
+export function offsetTilePixel([tileX, tileY, pixelX, pixelY], deltaX, deltaY) {
+  const [x, y] = tilePixelToGlobal(tileX, tileY, pixelX + deltaX, pixelY + deltaY);
+  return globalToTilePixel(x, Math.max(0, Math.min(worldSize - 1, y)));
+}
+
+/** Converts tile and pixel coordinates to the coordinates wplace.live shows on screen.
+ * The displayed coordinates only count 4 tiles before starting over.
+ * @param {number} tileX - The X coordinate of the tile
+ * @param {number} tileY - The Y coordinate of the tile
+ * @param {number} pixelX - The X coordinate of the pixel in the tile
+ * @param {number} pixelY - The Y coordinate of the pixel in the tile
+ * @returns {Array<number>} The displayed coordinates, as [x, y]
+ * @since 0.84.20
+ * @example
+ * console.log(tilePixelToDisplay(12, 123, 34, 567)); // [34, 3567]
+ */
+export function tilePixelToDisplay(tileX, tileY, pixelX, pixelY) {
+  return [negativeSafeModulo(tileX, 4) * tileSize + pixelX, negativeSafeModulo(tileY, 4) * tileSize + pixelY];
+}
+
+/** Converts the coordinates wplace.live shows on screen to tile and pixel coordinates.
+ * The displayed coordinates repeat every 4 tiles, so a nearby tile is needed to know which 4 tiles they are in.
+ * @param {number} displayX - The displayed X coordinate
+ * @param {number} displayY - The displayed Y coordinate
+ * @param {number} nearTileX - The X coordinate of any tile in the same group of 4 tiles
+ * @param {number} nearTileY - The Y coordinate of any tile in the same group of 4 tiles
+ * @returns {Array<number>} The coordinates, as [tileX, tileY, pixelX, pixelY]
+ * @since 0.84.20
+ * @example
+ * console.log(displayToTilePixel(34, 3567, 13, 121)); // [12, 123, 34, 567]
+ */
+export function displayToTilePixel(displayX, displayY, nearTileX, nearTileY) {
+  const groupX = nearTileX - negativeSafeModulo(nearTileX, 4); // The first tile of the group of 4 tiles
+  const groupY = nearTileY - negativeSafeModulo(nearTileY, 4);
+  return globalToTilePixel(groupX * tileSize + displayX, groupY * tileSize + displayY);
+}
+
+/** Converts a global pixel to the latitude and longitude of the map.
+ * The canvas is a Web Mercator map.
+ * @param {number} x - The global X coordinate. Add 0.5 to point at the middle of a pixel
+ * @param {number} y - The global Y coordinate. Add 0.5 to point at the middle of a pixel
+ * @returns {{lat: number, lng: number}} The latitude and longitude, in degrees
+ * @since 0.84.19
+ * @example
+ * console.log(globalToLatLng(1024000, 1024000)); // {lat: 0, lng: 0}
+ * console.log(globalToLatLng(0, 0)); // {lat: 85.05112877980659, lng: -180}
+ */
+export function globalToLatLng(x, y) {
+  const lng = (negativeSafeModulo(x, worldSize) / worldSize) * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / worldSize))) * 180 / Math.PI;
+  return { 'lat': lat, 'lng': lng };
+}
+
+/** Converts a latitude and longitude of the map to the global pixel at that position.
+ * Longitudes past 180 degrees wrap around, and latitudes past the edge of the map are kept on the map.
+ * @param {number} lat - The latitude, in degrees
+ * @param {number} lng - The longitude, in degrees
+ * @returns {Array<number>} The global pixel, as [x, y]
+ * @since 0.84.20
+ * @example
+ * console.log(latLngToGlobal(0, 0)); // [1024000, 1024000]
+ * console.log(latLngToGlobal(0, 190)); // [56888, 1024000] (wraps around)
+ */
+export function latLngToGlobal(lat, lng) {
+  const latRadians = Math.max(-85.0511287798066, Math.min(85.0511287798066, lat)) * Math.PI / 180; // The edges of a Web Mercator map
+  const x = (negativeSafeModulo(lng + 180, 360) / 360) * worldSize;
+  const y = (1 - Math.log(Math.tan(latRadians) + 1 / Math.cos(latRadians)) / Math.PI) / 2 * worldSize;
+  return [Math.min(worldSize - 1, Math.floor(x)), Math.min(worldSize - 1, Math.max(0, Math.floor(y)))];
+}
+
+/** Creates the "0000,0000,000,000" key of a template chunk from the coordinates of its top left corner.
+ * @param {number} tileX - The X coordinate of the tile
+ * @param {number} tileY - The Y coordinate of the tile
+ * @param {number} pixelX - The X coordinate of the pixel in the tile
+ * @param {number} pixelY - The Y coordinate of the pixel in the tile
+ * @returns {string} The chunk key
+ * @since 0.84.20
+ * @example
+ * console.log(createChunkKey(12, 345, 6, 78)); // "0012,0345,006,078"
+ */
+export function createChunkKey(tileX, tileY, pixelX, pixelY) {
+  return `${String(tileX).padStart(4, '0')},${String(tileY).padStart(4, '0')},${String(pixelX).padStart(3, '0')},${String(pixelY).padStart(3, '0')}`;
+}
+
+/** Reads the coordinates of the top left corner of a template chunk from its key.
+ * @param {string} chunkKey - The "0000,0000,000,000" key of the chunk
+ * @returns {Array<number>|null} The coordinates, as [tileX, tileY, pixelX, pixelY], or null if the key is malformed
+ * @since 0.84.20
+ * @example
+ * console.log(parseChunkKey('0012,0345,006,078')); // [12, 345, 6, 78]
+ * console.log(parseChunkKey('12,345')); // null
+ */
+export function parseChunkKey(chunkKey) {
+  if (!/^\d{4},\d{4},\d{3},\d{3}$/.test(chunkKey)) {return null;} // Kills itself if the key is malformed
+
+  return chunkKey.split(',').map(Number);
+}
+
+/** Reads tile and pixel coordinates from pasted text.
+ * The text can be a wplace.live link (with "lat" and "lng" parameters), or coordinates copied from Blue Marble (e.g. "Tl X: 1, Tl Y: 2, Px X: 3, Px Y: 4").
+ * @param {string} text - The pasted text
+ * @returns {{coords: Array<number>, lat?: number, lng?: number}|null} The coordinates as [tileX, tileY, pixelX, pixelY], and the latitude and longitude if the text was a link. Null if no coordinates were found
+ * @since 0.84.21
+ * @example
+ * console.log(parseCoordinatesText('https://wplace.live/?lat=0&lng=0&zoom=11')); // {coords: [1024, 1024, 0, 0], lat: 0, lng: 0}
+ * console.log(parseCoordinatesText('(Tl X: 12, Tl Y: 345, Px X: 6, Px Y: 78)')); // {coords: [12, 345, 6, 78]}
+ * console.log(parseCoordinatesText('Foobar.')); // null
+ */
+export function parseCoordinatesText(text) {
+  text = String(text ?? '').trim();
+
+  // Coordinates copied from Blue Marble
+  const tilePixelMatch = text.match(/Tl X:\s*(\d+),\s*Tl Y:\s*(\d+),\s*Px X:\s*(\d+),\s*Px Y:\s*(\d+)/i);
+  if (tilePixelMatch) {
+    const coords = tilePixelMatch.slice(1, 5).map(Number);
+    const isValid = coords[0] < worldTiles && coords[1] < worldTiles && coords[2] < tileSize && coords[3] < tileSize;
+    return isValid ? { 'coords': coords } : null;
+  }
+
+  // Links to a position on the map
+  let url = null;
+  try {
+    url = new URL(text);
+  } catch {
+    return null; // Kills itself if the text is not a link
+  }
+
+  const lat = parseFloat(url.searchParams.get('lat'));
+  const lng = parseFloat(url.searchParams.get('lng'));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {return null;} // Kills itself if the link is not a position
+
+  return { 'coords': globalToTilePixel(...latLngToGlobal(lat, lng)), 'lat': lat, 'lng': lng };
+}
+
+/** Finds the map zoom that fits an area of the canvas on screen.
+ * The map is 512 screen pixels wide at zoom 0, and doubles in size every zoom level.
+ * @param {number} width - The width of the area, in canvas pixels
+ * @param {number} height - The height of the area, in canvas pixels
+ * @param {number} [screenSize=800] - The size of the screen to fit the area in, in screen pixels
+ * @returns {number} The zoom, between 11 (pixels can still be seen) and 18
+ * @since 0.84.22
+ * @example
+ * console.log(zoomToFit(1000, 500)); // 11.64
+ * console.log(zoomToFit(10, 10)); // 18
+ */
+export function zoomToFit(width, height, screenSize = 800) {
+  const zoom = Math.log2(screenSize * worldSize / (512 * Math.max(1, width, height)));
+  return Math.min(18, Math.max(11, Math.floor(zoom * 100) / 100)); // Rounds down so the area is not cut off
+}
+
+/** Creates a wplace.live link to a position on the canvas.
+ * @param {number} x - The global X coordinate. Add 0.5 to point at the middle of a pixel
+ * @param {number} y - The global Y coordinate. Add 0.5 to point at the middle of a pixel
+ * @param {number} [zoom=15] - The zoom of the map
+ * @returns {string} The link
+ * @since 0.84.22
+ * @example
+ * console.log(createMapLink(1024000, 1024000)); // "https://wplace.live/?lat=0&lng=0&zoom=15"
+ */
+export function createMapLink(x, y, zoom = 15) {
+  const { lat, lng } = globalToLatLng(x, y);
+  const round = number => Math.round(number * 1e7) / 1e7; // Far smaller than a pixel
+  return `https://wplace.live/?lat=${round(lat)}&lng=${round(lng)}&zoom=${zoom}`;
+}
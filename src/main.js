@@ -6,7 +6,10 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
-import { consoleLog, consoleWarn, colorpalette } from './utils.js';
+import Minimap from './Minimap.js';
+import { consoleLog, consoleWarn, colorpalette, downloadBlob, getOwnedColorIDs, markerColors, setMarkerColors } from './utils.js';
+import { createMapLink, parseCoordinatesText, tilePixelToGlobal, tileSize, worldTiles, zoomToFit } from './coordinates.js';
+import { convertBlobToPalette, countPalettePixels, createLockedColorsReport } from './paletteConverter.js';
 
 const name = GM_info.script.name.toString(); // Name of userscript
 const version = GM_info.script.version.toString(); // Version of userscript
@@ -38,6 +41,7 @@ inject(() => {
   const name = script?.getAttribute('bm-name') || 'Blue Marble';
   const consoleStyle = script?.getAttribute('bm-cStyle') || '';
   const fetchedBlobQueue = new Map();
+  const localTiles = new Map(); // The last tile from the server for each tile that is refreshed while a template is placed, keyed by URL. Refreshes are answered with it, so they never reach the server
 
   // Listener for PROCESSED blobs from the userscript
   window.addEventListener('message', (event) => {
@@ -45,7 +49,7 @@ inject(() => {
     if (data && data['source'] === 'blue-marble' && data['blobID'] && !data['endpoint']) {
       const callback = fetchedBlobQueue.get(data['blobID']);
       if (typeof callback === 'function') {
-        callback(data['blobData']); // Resolve the promise with the new blob
+        callback(data['blobData'], data['maxAge']); // Resolve the promise with the new blob
       } else {
         console.warn(`%cBlue Marble%c: [INJECT] Could not find callback for blobID: ${data['blobID']}`, 'color: cornflowerblue;', '');
       }
@@ -85,7 +89,8 @@ inject(() => {
         }
     }
 
-    const response = await originalFetch.apply(this, [request]);
+    const localTile = (request.method === 'GET') ? localTiles.get(request.url) : undefined;
+    const response = localTile ? new Response(localTile['blob'], localTile['init']) : await originalFetch.apply(this, [request]);
     const clonedResponse = response.clone();
     const endpointName = request.url;
     const contentType = clonedResponse.headers.get('content-type') || '';
@@ -107,9 +112,17 @@ inject(() => {
           const blob = await clonedResponse.blob();
           const blobUUID = crypto.randomUUID();
 
-          fetchedBlobQueue.set(blobUUID, (processedBlob) => {
+          fetchedBlobQueue.set(blobUUID, (processedBlob, maxAge) => {
+            const headers = new Headers(clonedResponse.headers);
+            if (typeof maxAge === 'number') { // The map fetches the tile again once it expires. That request is answered with this tile
+              headers.set('Cache-Control', `max-age=${maxAge}`);
+              headers.delete('Expires');
+              localTiles.set(endpointName, { 'blob': blob, 'init': { 'headers': clonedResponse.headers, 'status': clonedResponse.status, 'statusText': clonedResponse.statusText } });
+            } else {
+              localTiles.delete(endpointName); // Fetched from the server again next time
+            }
             resolve(new Response(processedBlob, {
-              headers: clonedResponse.headers,
+              headers: headers,
               status: clonedResponse.status,
               statusText: clonedResponse.statusText
             }));
@@ -153,15 +166,30 @@ document.head?.appendChild(stylesheetLink);
 const observers = new Observers(); // Constructs a new Observers object
 const overlayMain = new Overlay(name, version); // Constructs a new Overlay object for the main overlay
 const overlayTabTemplate = new Overlay(name, version); // Constructs a Overlay object for the template tab
+const overlayTabMinimap = new Overlay(name, version); // Constructs a Overlay object for the minimap tab
 const templateManager = new TemplateManager(name, version, overlayMain); // Constructs a new TemplateManager object
 const apiManager = new ApiManager(templateManager); // Constructs a new ApiManager object
+const minimap = new Minimap(templateManager); // Constructs a new Minimap object
 
 overlayMain.setApiManager(apiManager); // Sets the API manager
+overlayTabTemplate.setApiManager(apiManager); // Sets the API manager
+overlayTabMinimap.setApiManager(apiManager); // Sets the API manager
+templateManager.setTemplatesChangedCallback(() => {buildTemplateList(); minimap.requestDraw();}); // Rebuilds the template list and minimap whenever the templates change
+templateManager.setProgressChangedCallback((template) => {updateTemplateProgress(template); minimap.requestDraw();}); // Updates the progress of a template whenever one of its tiles is fetched
+const templateListElements = new Map(); // The progress elements of each template (Template) in the template list
 
+const overlaySettings = JSON.parse(GM_getValue('bmOverlaySettings', '{}')); // The position of each window, the minimized state of the overlay and the template manager, and the option toggles, as last left
+const persistedCheckboxIDs = ['bm-input-grief-clean', 'bm-input-highlight-errors', 'bm-input-hide-correct', 'bm-input-owned-colors']; // The option toggles of the main overlay that are kept between sessions
+setMarkerColors(JSON.parse(GM_getValue('bmMarkerColors', '{}'))); // Loads the marker colors, before the templates are prepared with them
 const storageTemplates = JSON.parse(GM_getValue('bmTemplates', '{}'));
-templateManager.importJSON(storageTemplates); // Loads the templates
+templateManager.importJSON(storageTemplates).catch(error => {
+  GM.setValue('bmTemplatesBackup', JSON.stringify(storageTemplates)); // Keeps a copy, since the next save would overwrite the templates that failed to load
+  overlayMain.handleDisplayError(`Could not load the stored templates! ${error.message}`);
+}); // Loads the templates
 
 buildOverlayMain(); // Builds the main overlay
+buildOverlayTabTemplate(); // Builds the template manager window (hidden until opened)
+buildOverlayTabMinimap(); // Builds the minimap window (hidden until opened)
 
 const quickPaintCheckbox = document.querySelector('#bm-input-quick-paint');
 const paintCountInput = document.querySelector('#bm-input-paint-count');
@@ -174,7 +202,37 @@ if (quickPaintCheckbox) {
     quickPaintCheckbox.checked = localStorage.getItem('bm-quick-paint-enabled') === 'true';
 }
 
-overlayMain.handleDrag('#bm-overlay', '#bm-bar-drag'); // Creates dragging capability on the drag bar for dragging the overlay
+// Restores the option toggles. The change event applies each option the same way clicking it does
+for (const checkboxID of persistedCheckboxIDs) {
+  const checkbox = document.querySelector(`#${checkboxID}`);
+  if (!checkbox) {continue;}
+
+  if (overlaySettings['options']?.[checkboxID]) {
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change'));
+  }
+  checkbox.addEventListener('change', () => saveOverlaySettings({'options': {...overlaySettings['options'], [checkboxID]: checkbox.checked}}));
+}
+
+if (overlaySettings['minimized']) {
+  document.querySelector('#bm-contain-header img')?.click(); // Minimizes the overlay
+}
+
+if (overlaySettings['minimizedTemplate']) {
+  document.querySelector('#bm-contain-header-template .bm-button-minimize')?.click(); // Minimizes the template manager
+}
+
+// Creates dragging capability on the drag bar of each window, and restores where each window was left
+for (const [overlay, windowID, dragBarID] of [[overlayMain, 'bm-overlay', 'bm-bar-drag'], [overlayTabTemplate, 'bm-tab-template', 'bm-bar-drag-template'], [overlayTabMinimap, 'bm-tab-minimap', 'bm-bar-drag-minimap']]) {
+  overlay.handleDrag(`#${windowID}`, `#${dragBarID}`, (x, y) => {
+    saveOverlaySettings({'positions': {...overlaySettings['positions'], [windowID]: [x, y]}});
+  });
+
+  const position = overlaySettings['positions']?.[windowID];
+  if (position) {
+    overlay.setPosition(`#${windowID}`, ...position); // Kept inside the viewport, in case the window is smaller than when the position was saved
+  }
+}
 
 apiManager.spontaneousResponseListener(overlayMain); // Reads spontaneous fetch responces
 
@@ -221,6 +279,15 @@ function observeBlack() {
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
+/** Changes the stored overlay settings, and saves them.
+ * @param {Object} changes - The settings to change. Settings not in here are kept
+ * @since 0.84.25
+ */
+function saveOverlaySettings(changes) {
+  Object.assign(overlaySettings, changes);
+  GM.setValue('bmOverlaySettings', JSON.stringify(overlaySettings));
+}
+
 /** Deploys the overlay to the page with minimize/maximize functionality.
  * Creates a responsive overlay UI that can toggle between full-featured and minimized states.
  * 
@@ -230,13 +297,45 @@ function observeBlack() {
 function buildOverlayMain() {
   let isMinimized = false; // Overlay state tracker (false = maximized, true = minimized)
   
-  overlayMain.addDiv({'id': 'bm-overlay', 'style': 'top: 10px; right: 75px;'})
+  overlayMain.addDiv({'id': 'bm-overlay', 'style': 'top: 10px; right: 75px;', 'tabIndex': -1}, // Focusable, so images can be pasted into it
+    (instance, div) => {
+
+      // Loads an image dropped on the overlay as the template file
+      div.addEventListener('dragover', event => {
+        if (!event.dataTransfer?.types.includes('Files')) {return;} // Kills itself if no file is being dragged
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        div.classList.add('bm-dragover');
+      });
+      div.addEventListener('dragleave', event => {
+        if (!div.contains(event.relatedTarget)) {div.classList.remove('bm-dragover');} // Only when the file leaves the overlay
+      });
+      div.addEventListener('drop', event => {
+        div.classList.remove('bm-dragover');
+        if (!event.dataTransfer?.files.length) {return;} // Kills itself if no file was dropped
+
+        event.preventDefault();
+        setTemplateFile(event.dataTransfer.files[0]);
+      });
+
+      // Loads an image pasted into the overlay as the template file
+      div.addEventListener('paste', event => {
+        const file = [...(event.clipboardData?.files ?? [])].find(file => file.type.startsWith('image/'));
+        if (!file) {return;} // Lets the paste through if it is not an image
+
+        event.preventDefault();
+        setTemplateFile(file);
+      });
+    }
+  )
     .addDiv({'id': 'bm-contain-header'})
       .addDiv({'id': 'bm-bar-drag'}).buildElement()
       .addImg({'alt': 'Blue Marble Icon - Click to minimize/maximize', 'src': 'https://raw.githubusercontent.com/SwingTheVine/Wplace-BlueMarble/main/dist/assets/Favicon.png', 'style': 'cursor: pointer;'}, 
         (instance, img) => {
           img.addEventListener('click', () => {
             isMinimized = !isMinimized; // Toggle the current state
+            saveOverlaySettings({'minimized': isMinimized});
 
             const overlay = document.querySelector('#bm-overlay');
             const header = document.querySelector('#bm-contain-header');
@@ -341,6 +440,7 @@ function buildOverlayMain() {
               }
               overlay.style.width = '';
               overlay.style.height = '';
+              instance.clampPosition('#bm-overlay'); // The maximized overlay may not fit where the minimized overlay was
             }
             img.alt = isMinimized ? 
               'Blue Marble Icon - Minimized (Click to maximize)' : 
@@ -363,7 +463,7 @@ function buildOverlayMain() {
 
     .addDiv({'id': 'bm-contain-automation'})
       .addCheckbox({'id': 'bm-input-grief-clean', 'textContent': 'Grief-Clean', 'checked': false},
-        (instance, checkbox) => {
+        (instance, label, checkbox) => {
           checkbox.addEventListener('change', () => {
             instance.apiManager?.templateManager?.setAnalyzeTransparentPixels(checkbox.checked);
           });
@@ -371,11 +471,61 @@ function buildOverlayMain() {
       ).buildElement()
       .addButtonHelp({'title': 'When enabled, transparent pixels in your template will be targeted for removal if they have been colored in on the canvas. Useful for clearing vandalism.'}).buildElement()
       .addBr().buildElement()
+      .addCheckbox({'id': 'bm-input-highlight-errors', 'textContent': 'Highlight Errors', 'checked': false},
+        (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            instance.apiManager?.templateManager?.setHighlightErrors(checkbox.checked);
+          });
+        }
+      ).buildElement()
+      .addButtonHelp({'title': 'When enabled, pixels that do not match the template are framed on the canvas. Red is a wrong color, yellow is missing, magenta must be erased (erase markers, and Grief-Clean targets when Grief-Clean is enabled), and blue is a protected pixel that changed since the page was opened. Cyan (always shown) is where overlapping templates ask for different colors.'}).buildElement()
+      .addBr().buildElement()
+      .addCheckbox({'id': 'bm-input-hide-correct', 'textContent': 'Hide Correct Pixels', 'checked': false},
+        (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            instance.apiManager?.templateManager?.setHideCorrectPixels(checkbox.checked);
+          });
+        }
+      ).buildElement()
+      .addButtonHelp({'title': 'When enabled, the template is only drawn where the canvas does not match it yet.'}).buildElement()
+      .addBr().buildElement()
       .addCheckbox({'id': 'bm-input-quick-paint', 'textContent': 'Quick Paint', 'checked': false}).buildElement()
       .addButtonHelp({'title': 'Automatically paints pixels from the template when you place a pixel.'}).buildElement()
       .addInput({'type': 'number', 'id': 'bm-input-paint-count', 'placeholder': 'Reserve', 'min': 0, 'value': 0, 'style': 'width: 6ch; margin-left: 1ch;'}).buildElement()
       .addBr().buildElement()
-      .addDiv({'id': 'bm-contain-coords'})
+      .addCheckbox({'id': 'bm-input-owned-colors', 'textContent': 'Owned Colors Only', 'checked': false},
+        (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            instance.apiManager?.templateManager?.setOwnedColorsOnly(checkbox.checked);
+            updateConvertPreview(); // The conversion depends on which colors can be used
+          });
+        }
+      ).buildElement()
+      .addButtonHelp({'title': 'When enabled, template colors you do not own are replaced with the closest color you do own. This applies when converting a template, and when choosing which pixels to paint.'}).buildElement()
+      .addBr().buildElement()
+      .addDiv({'id': 'bm-contain-coords'},
+        (instance, div) => {
+          // Fills the coordinates from a pasted wplace.live link, or from pasted Blue Marble coordinates
+          div.addEventListener('paste', event => {
+            const parsed = parseCoordinatesText(event.clipboardData?.getData('text'));
+            if (!parsed) {return;} // Lets the paste through if it is not coordinates
+
+            event.preventDefault();
+            const [tileX, tileY, pixelX, pixelY] = parsed['coords'];
+            instance.updateInnerHTML('bm-input-tx', tileX);
+            instance.updateInnerHTML('bm-input-ty', tileY);
+            instance.updateInnerHTML('bm-input-px', pixelX);
+            instance.updateInnerHTML('bm-input-py', pixelY);
+
+            const converted = `Tl X: ${tileX}, Tl Y: ${tileY}, Px X: ${pixelX}, Px Y: ${pixelY}`;
+            const source = ('lat' in parsed) ? `Link (Lat: ${parsed['lat']}, Lng: ${parsed['lng']})` : 'Coordinates';
+            const output = document.querySelector('#bm-output-coords-pasted');
+            output.textContent = `${source} → ${converted}`;
+            output.hidden = false;
+            instance.handleDisplayStatus(`Pasted coordinates: ${converted}`);
+          });
+        }
+      )
         .addButton({'id': 'bm-button-coords', 'className': 'bm-help', 'style': 'margin-top: 0;', 'innerHTML': '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 4 6"><circle cx="2" cy="2" r="2"></circle><path d="M2 6 L3.7 3 L0.3 3 Z"></path><circle cx="2" cy="2" r="0.7" fill="white"></circle></svg></svg>'},
           (instance, button) => {
             button.onclick = () => {
@@ -391,12 +541,59 @@ function buildOverlayMain() {
             }
           }
         ).buildElement()
-        .addInput({'type': 'number', 'id': 'bm-input-tx', 'placeholder': 'Tl X', 'min': 0, 'max': 2047, 'step': 1, 'required': true}).buildElement()
-        .addInput({'type': 'number', 'id': 'bm-input-ty', 'placeholder': 'Tl Y', 'min': 0, 'max': 2047, 'step': 1, 'required': true}).buildElement()
-        .addInput({'type': 'number', 'id': 'bm-input-px', 'placeholder': 'Px X', 'min': 0, 'max': 2047, 'step': 1, 'required': true}).buildElement()
-        .addInput({'type': 'number', 'id': 'bm-input-py', 'placeholder': 'Px Y', 'min': 0, 'max': 2047, 'step': 1, 'required': true}).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-input-tx', 'placeholder': 'Tl X', 'min': 0, 'max': worldTiles - 1, 'step': 1, 'required': true}).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-input-ty', 'placeholder': 'Tl Y', 'min': 0, 'max': worldTiles - 1, 'step': 1, 'required': true}).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-input-px', 'placeholder': 'Px X', 'min': 0, 'max': tileSize - 1, 'step': 1, 'required': true}).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-input-py', 'placeholder': 'Px Y', 'min': 0, 'max': tileSize - 1, 'step': 1, 'required': true}).buildElement()
+        .addButtonHelp({'title': 'Paste a wplace.live link, or coordinates copied from Blue Marble, into any of these fields to fill all four.'}).buildElement()
+      .buildElement()
+      .addSmall({'id': 'bm-output-coords-pasted', 'hidden': true}).buildElement()
+      .addInputFile({'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif'},
+        (instance, container, input, button) => {
+          input.addEventListener('change', updateConvertPreview); // Previews the conversion of the new file
+
+          // Shows a thumbnail of the template file next to the upload button
+          const thumbnail = document.createElement('img');
+          thumbnail.id = 'bm-img-template-thumbnail';
+          thumbnail.alt = 'Template thumbnail';
+          thumbnail.hidden = true;
+          container.appendChild(thumbnail);
+          input.addEventListener('change', () => {
+            if (thumbnail.src) {URL.revokeObjectURL(thumbnail.src);} // Frees the old thumbnail
+            thumbnail.removeAttribute('src');
+            thumbnail.hidden = !input.files[0];
+            if (input.files[0]) {thumbnail.src = URL.createObjectURL(input.files[0]);}
+          });
+        }
+      ).buildElement()
+      .addDiv({'id': 'bm-contain-convert', 'hidden': true})
+        .addCheckbox({'id': 'bm-input-convert', 'textContent': 'Convert to palette', 'checked': false},
+          (instance, label, checkbox) => {
+            checkbox.addEventListener('change', updateConvertPreview);
+          }
+        ).buildElement()
+        .addButtonHelp({'title': 'When enabled, the template is converted to the colors of the palette before it is created. The preview shows the template before (left) and after (right) conversion.'}).buildElement()
+        .addBr().buildElement()
+        .addSelect({'id': 'bm-input-convert-matching', 'textContent': 'Match: ', 'value': 'rgb', 'options': [
+          {'value': 'rgb', 'textContent': 'Nearest (RGB)'},
+          {'value': 'ciede2000', 'textContent': 'Nearest (CIEDE2000)'}
+        ]}, (instance, label, select) => {
+          select.addEventListener('change', updateConvertPreview);
+        }).buildElement()
+        .addBr().buildElement()
+        .addSelect({'id': 'bm-input-convert-dithering', 'textContent': 'Dither: ', 'value': 'none', 'options': [
+          {'value': 'none', 'textContent': 'None'},
+          {'value': 'floyd-steinberg', 'textContent': 'Floyd–Steinberg'},
+          {'value': 'ordered', 'textContent': 'Ordered'}
+        ]}, (instance, label, select) => {
+          select.addEventListener('change', updateConvertPreview);
+        }).buildElement()
+        .addDiv({'id': 'bm-contain-convert-preview'})
+          .addImg({'id': 'bm-img-convert-before', 'alt': 'Template before conversion', 'hidden': true}).buildElement()
+          .addImg({'id': 'bm-img-convert-after', 'alt': 'Template after conversion', 'hidden': true}).buildElement()
+        .buildElement()
+        .addSmall({'id': 'bm-output-convert-report', 'hidden': true}).buildElement()
       .buildElement()
-      .addInputFile({'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif'}).buildElement()
       .addDiv({'id': 'bm-contain-buttons-template'})
         .addButton({'id': 'bm-button-enable', 'textContent': 'Enable'}, (instance, button) => {
           button.onclick = () => {
@@ -405,7 +602,7 @@ function buildOverlayMain() {
           }
         }).buildElement()
         .addButton({'id': 'bm-button-create', 'textContent': 'Create'}, (instance, button) => {
-          button.onclick = () => {
+          button.onclick = async () => {
             const input = document.querySelector('#bm-input-file-template');
 
             const coordTlX = document.querySelector('#bm-input-tx');
@@ -419,8 +616,20 @@ function buildOverlayMain() {
 
             if (!input?.files[0]) {instance.handleDisplayError(`No file selected!`); return;}
 
-            templateManager.createTemplate(input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
-            instance.handleDisplayStatus(`Drew to canvas!`);
+            // Converts the template to the palette first, if enabled
+            let templateFile = input.files[0];
+            if (document.querySelector('#bm-input-convert')?.checked) {
+              instance.handleDisplayStatus(`Converting template to palette...`);
+              templateFile = templateFileConverted ?? await convertBlobToPalette(templateFile, getConvertOptions());
+            }
+
+            // Shows the template as a ghost first, so it can be moved into place before it is created
+            try {
+              await templateManager.startPlacementPreview(templateFile, input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
+              setPlacementMode(true);
+            } catch (error) {
+              instance.handleDisplayError(`Could not show the template! ${error.message}`);
+            }
           }
         }).buildElement()
         .addButton({'id': 'bm-button-disable', 'textContent': 'Disable'}, (instance, button) => {
@@ -430,13 +639,86 @@ function buildOverlayMain() {
           }
         }).buildElement()
       .buildElement()
+      .addDiv({'id': 'bm-contain-placement', 'hidden': true},
+        (instance, div) => {
+          // Moves the template being placed with the arrow keys
+          document.addEventListener('keydown', event => {
+            if (div.hidden || event.ctrlKey || event.altKey || event.metaKey) {return;} // Kills itself if no template is being placed
+            if (event.target.closest?.('input:not([type="checkbox"]), textarea, select')) {return;} // Kills itself if the user is typing
+
+            const delta = {'ArrowLeft': [-1, 0], 'ArrowRight': [1, 0], 'ArrowUp': [0, -1], 'ArrowDown': [0, 1]}[event.key];
+            if (!delta) {return;} // Kills itself if the key does not move the template
+
+            event.preventDefault();
+            event.stopPropagation(); // Stops the map from panning
+            movePlacement(...delta);
+          }, true);
+        }
+      )
+        .addSmall({'textContent': 'Move the template with the arrow keys or these buttons:'}).buildElement()
+        .addDiv({'id': 'bm-contain-buttons-placement-move'})
+          .addButton({'className': 'bm-help', 'textContent': '←', 'title': 'Move left 1 pixel'}, (instance, button) => {
+            button.onclick = () => {movePlacement(-1, 0);}
+          }).buildElement()
+          .addButton({'className': 'bm-help', 'textContent': '↑', 'title': 'Move up 1 pixel'}, (instance, button) => {
+            button.onclick = () => {movePlacement(0, -1);}
+          }).buildElement()
+          .addButton({'className': 'bm-help', 'textContent': '↓', 'title': 'Move down 1 pixel'}, (instance, button) => {
+            button.onclick = () => {movePlacement(0, 1);}
+          }).buildElement()
+          .addButton({'className': 'bm-help', 'textContent': '→', 'title': 'Move right 1 pixel'}, (instance, button) => {
+            button.onclick = () => {movePlacement(1, 0);}
+          }).buildElement()
+        .buildElement()
+        .addDiv({'id': 'bm-contain-buttons-placement'})
+          .addButton({'id': 'bm-button-placement-confirm', 'textContent': 'Confirm'}, (instance, button) => {
+            button.onclick = async () => {
+              button.disabled = true; // Stops the template from being created twice
+              try {
+                await templateManager.confirmPlacementPreview();
+                setPlacementMode(false); // Keeps placing if the template could not be created, so it can be tried again
+              } catch (error) {
+                instance.handleDisplayError(`Could not create the template! ${error.message}`);
+              }
+              button.disabled = false;
+            }
+          }).buildElement()
+          .addButton({'id': 'bm-button-placement-cancel', 'textContent': 'Cancel'}, (instance, button) => {
+            button.onclick = () => {
+              setPlacementMode(false);
+              templateManager.clearPlacementPreview();
+              instance.handleDisplayStatus(`Cancelled placing the template. The preview disappears in a moment.`);
+            }
+          }).buildElement()
+        .buildElement()
+      .buildElement()
       .addTextarea({'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true}).buildElement()
       .addDiv({'id': 'bm-contain-buttons-action'})
         .addDiv()
           .addButton({'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter'}, 
             (instance, button) => {
             button.addEventListener('click', () => {
-              window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
+              const convert = document.querySelector('#bm-contain-convert');
+              if (convert) {convert.hidden = !convert.hidden;} // Toggles the color converter
+            });
+          }).buildElement()
+          .addButton({'id': 'bm-button-template', 'className': 'bm-help', 'innerHTML': '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 6 6"><rect x="0" y="0.5" width="6" height="1.2"></rect><rect x="0" y="2.4" width="6" height="1.2"></rect><rect x="0" y="4.3" width="6" height="1.2"></rect></svg>', 'title': 'Template Manager'},
+            (instance, button) => {
+            button.addEventListener('click', () => {
+              const tabTemplate = document.querySelector('#bm-tab-template');
+              if (!tabTemplate) {return;}
+              tabTemplate.style.display = (tabTemplate.style.display == 'none') ? '' : 'none'; // Toggles the template manager
+              overlayTabTemplate.clampPosition('#bm-tab-template'); // Hidden windows have no size, so they are kept on the screen once shown
+            });
+          }).buildElement()
+          .addButton({'id': 'bm-button-minimap', 'className': 'bm-help', 'innerHTML': '🗺️', 'title': 'Minimap'},
+            (instance, button) => {
+            button.addEventListener('click', () => {
+              const tabMinimap = document.querySelector('#bm-tab-minimap');
+              if (!tabMinimap) {return;}
+              tabMinimap.style.display = (tabMinimap.style.display == 'none') ? '' : 'none'; // Toggles the minimap
+              overlayTabMinimap.clampPosition('#bm-tab-minimap'); // Hidden windows have no size, so they are kept on the screen once shown
+              minimap.requestDraw(); // The minimap is not drawn while it is hidden
             });
           }).buildElement()
         .buildElement()
@@ -447,27 +729,533 @@ function buildOverlayMain() {
   .buildOverlay(document.body);
 }
 
+/** Deploys the template manager window to the page.
+ * The window lists every loaded template, and is hidden until the template manager button is clicked.
+ * 
+ * Parent/child relationships in the DOM structure below are indicated by indentation.
+ * @since 0.84.3
+ */
 function buildOverlayTabTemplate() {
-  overlayTabTemplate.addDiv({'id': 'bm-tab-template', 'style': 'top: 20%; left: 10%;'})
-      .addDiv()
-        .addDiv({'className': 'bm-dragbar'}).buildElement()
-        .addButton({'className': 'bm-button-minimize', 'textContent': '↑'},
+  overlayTabTemplate.addDiv({'id': 'bm-tab-template', 'style': 'top: 20%; left: 10%; display: none;'})
+      .addDiv({'id': 'bm-contain-header-template'})
+        .addDiv({'id': 'bm-bar-drag-template'}).buildElement()
+        .addButton({'className': 'bm-button-minimize', 'textContent': '↑', 'title': 'Minimize'},
           (instance, button) => {
             button.onclick = () => {
-              let isMinimized = false;
-              if (button.textContent == '↑') {
-                button.textContent = '↓';
-              } else {
-                button.textContent = '↑';
-                isMinimized = true;
+              const isMinimized = button.textContent == '↑'; // Minimize when the arrow points up
+              button.textContent = isMinimized ? '↓' : '↑';
+              button.title = isMinimized ? 'Maximize' : 'Minimize';
+              saveOverlaySettings({'minimizedTemplate': isMinimized});
+              const templateList = document.querySelector('#bm-contain-templates');
+              if (templateList) {templateList.style.display = isMinimized ? 'none' : '';}
+              if (!isMinimized) {instance.clampPosition('#bm-tab-template');} // The maximized window may not fit where the minimized window was
+            }
+          }
+        ).buildElement()
+        .addHeader(2, {'textContent': 'Templates'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-buttons-bundle'})
+        .addButton({'id': 'bm-button-export', 'textContent': 'Export All'}, (instance, button) => {
+          button.onclick = () => {exportTemplates(templateManager.templatesArray, 'BlueMarble-templates');}
+        }).buildElement()
+        .addInputFile({'id': 'bm-input-file-import', 'textContent': 'Import', 'accept': 'application/json, .json'},
+          (instance, container, input, button) => {
+            input.addEventListener('change', async () => {
+              const file = input.files[0];
+              if (!file) {return;}
+
+              try {
+                const json = JSON.parse(await file.text());
+                const conflictMode = document.querySelector('#bm-input-import-conflict')?.value || 'replace';
+                await templateManager.importTemplates(json, conflictMode);
+              } catch (error) {
+                instance.handleDisplayError(`Could not import "${file.name}"! ${error.message}`);
               }
+
+              input.value = ''; // Allows the same file to be imported again
+              button.textContent = 'Import';
+            });
+          }
+        ).buildElement()
+        .addSelect({'id': 'bm-input-import-conflict', 'textContent': 'If it exists: ', 'value': 'replace', 'options': [
+          {'value': 'replace', 'textContent': 'Replace'},
+          {'value': 'keep', 'textContent': 'Keep both'},
+          {'value': 'skip', 'textContent': 'Skip'}
+        ]}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-markers'})
+        .addSmall({'textContent': 'Markers:'}).buildElement()
+        .addButtonHelp({'title': 'Template pixels of these colors are markers instead of colors to paint. Erase pixels must end up transparent. Don\'t-care pixels are never checked. Protect pixels are watched, and highlighted when they change.'}).buildElement()
+        .addInput({'type': 'color', 'className': 'bm-input-marker', 'title': 'Erase marker color', 'value': rgbToHex(markerColors['erase'])},
+          (instance, input) => {input.addEventListener('change', () => handleMarkerColorChange('erase', input));}
+        ).buildElement()
+        .addSmall({'textContent': 'Erase'}).buildElement()
+        .addInput({'type': 'color', 'className': 'bm-input-marker', 'title': 'Don\'t-care marker color', 'value': rgbToHex(markerColors['dontCare'])},
+          (instance, input) => {input.addEventListener('change', () => handleMarkerColorChange('dontCare', input));}
+        ).buildElement()
+        .addSmall({'textContent': 'Don\'t care'}).buildElement()
+        .addInput({'type': 'color', 'className': 'bm-input-marker', 'title': 'Protect marker color', 'value': rgbToHex(markerColors['protect'])},
+          (instance, input) => {input.addEventListener('change', () => handleMarkerColorChange('protect', input));}
+        ).buildElement()
+        .addSmall({'textContent': 'Protect'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-templates'}).buildElement()
+    .buildElement()
+  .buildOverlay(document.body);
+
+  buildTemplateList();
+}
+
+/** Converts an RGB color to a "#rrggbb" hex color, for color inputs.
+ * @param {Array<number>} rgb - The RGB color
+ * @returns {string} The hex color
+ * @since 0.84.18
+ */
+function rgbToHex(rgb) {
+  return '#' + rgb.map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+/** Changes the color of a marker to the color picked in a color input.
+ * Palette colors, and the colors of the other markers, can not be markers. The color input is reset when one is picked.
+ * @param {'erase'|'dontCare'|'protect'} kind - The kind of marker
+ * @param {HTMLInputElement} input - The color input
+ * @since 0.84.18
+ */
+async function handleMarkerColorChange(kind, input) {
+  const rgb = input.value.match(/[0-9a-f]{2}/gi).map(channel => parseInt(channel, 16));
+  const isSameColor = (otherRGB) => otherRGB.every((channel, index) => channel === rgb[index]);
+
+  const paletteColor = colorpalette.slice(1).find(color => isSameColor(color['rgb']));
+  const otherKind = Object.keys(markerColors).find(otherKind => otherKind != kind && isSameColor(markerColors[otherKind]));
+  if (paletteColor || otherKind) {
+    overlayTabTemplate.handleDisplayError(paletteColor ? `"${paletteColor['name']}" is a palette color, so it can not be a marker!` : `That color is already a marker!`);
+    input.value = rgbToHex(markerColors[kind]);
+    return;
+  }
+
+  await templateManager.setMarkerColors({[kind]: rgb});
+}
+
+/** Deploys the minimap window to the page.
+ * The minimap shows where every template is, and how complete it is. Clicking the minimap fills the coordinate inputs of the main overlay.
+ * 
+ * Parent/child relationships in the DOM structure below are indicated by indentation.
+ * @since 0.84.19
+ */
+function buildOverlayTabMinimap() {
+  overlayTabMinimap.addDiv({'id': 'bm-tab-minimap', 'style': 'top: 50%; left: 10%; display: none;'})
+      .addDiv({'id': 'bm-contain-header-minimap'})
+        .addDiv({'id': 'bm-bar-drag-minimap'}).buildElement()
+        .addButton({'className': 'bm-button-minimize', 'textContent': '↑', 'title': 'Minimize'},
+          (instance, button) => {
+            button.onclick = () => {
+              const isMinimized = button.textContent == '↑'; // Minimize when the arrow points up
+              button.textContent = isMinimized ? '↓' : '↑';
+              button.title = isMinimized ? 'Maximize' : 'Minimize';
+              const minimapContent = document.querySelector('#bm-contain-minimap');
+              if (minimapContent) {minimapContent.style.display = isMinimized ? 'none' : '';}
+              minimap.requestDraw();
             }
           }
         ).buildElement()
+        .addHeader(2, {'textContent': 'Minimap'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-minimap'})
+        .addCanvas({'id': 'bm-canvas-minimap', 'width': 280, 'height': 180, 'title': 'Click to use a spot as the template coordinates'},
+          (instance, canvas) => {
+            minimap.setCanvas(canvas);
+            canvas.addEventListener('click', (event) => {
+              const rect = canvas.getBoundingClientRect();
+              const coords = minimap.pickCoords((event.clientX - rect.left) * (canvas.width / rect.width), (event.clientY - rect.top) * (canvas.height / rect.height));
+              if (!coords) {return;} // Kills itself if there are no templates shown
+
+              // Fills the coordinate inputs of the main overlay
+              overlayMain.updateInnerHTML('bm-input-tx', coords[0]);
+              overlayMain.updateInnerHTML('bm-input-ty', coords[1]);
+              overlayMain.updateInnerHTML('bm-input-px', coords[2]);
+              overlayMain.updateInnerHTML('bm-input-py', coords[3]);
+
+              const buttonGo = document.querySelector('#bm-button-minimap-go');
+              if (buttonGo) {buttonGo.disabled = false;}
+              overlayMain.handleDisplayStatus(`Picked Tl X: ${coords[0]}, Tl Y: ${coords[1]}, Px X: ${coords[2]}, Px Y: ${coords[3]}. Press "Go there" to reload the page at it.`);
+            });
+          }
+        ).buildElement()
+        .addDiv({'id': 'bm-contain-buttons-minimap'})
+          .addButton({'id': 'bm-button-minimap-go', 'textContent': 'Go there', 'title': 'Reloads the page at the picked pixel', 'disabled': true},
+            (instance, button) => {
+              button.onclick = () => {
+                const [x, y] = minimap.selectedCoords ?? [];
+                if (x === undefined) {return;} // Kills itself if no spot was picked
+
+                openMapLink(createMapLink(x + 0.5, y + 0.5)); // Opens the map at the picked pixel, the same way shared links do
+              }
+            }
+          ).buildElement()
+          .addSmall({'textContent': 'Gray tiles have not been seen yet.'}).buildElement()
+        .buildElement()
       .buildElement()
     .buildElement()
-  .buildOverlay();
+  .buildOverlay(document.body);
+}
+
+/** Shows or hides the controls for placing a template.
+ * While a template is being placed, it can not be created again until it is confirmed or cancelled.
+ * @param {boolean} isPlacing - True if a template is being placed, false otherwise
+ * @since 0.84.23
+ */
+function setPlacementMode(isPlacing) {
+  const placement = document.querySelector('#bm-contain-placement');
+  const createButton = document.querySelector('#bm-button-create');
+
+  if (placement) {placement.hidden = !isPlacing;}
+  if (createButton) {createButton.disabled = isPlacing;}
+}
+
+/** Moves the template being placed by a number of pixels, and shows its new coordinates in the coordinate inputs.
+ * @param {number} deltaX - The pixels to move right (negative moves left)
+ * @param {number} deltaY - The pixels to move down (negative moves up)
+ * @since 0.84.23
+ */
+function movePlacement(deltaX, deltaY) {
+  const coords = templateManager.movePlacementPreview(deltaX, deltaY);
+
+  if (!coords) {return;} // Kills itself if no template is being placed
+
+  overlayMain.updateInnerHTML('bm-input-tx', coords[0]);
+  overlayMain.updateInnerHTML('bm-input-ty', coords[1]);
+  overlayMain.updateInnerHTML('bm-input-px', coords[2]);
+  overlayMain.updateInnerHTML('bm-input-py', coords[3]);
+  overlayMain.handleDisplayStatus(`Placing template at ${coords.join(', ')}. The preview redraws itself in a moment.`);
+}
+
+/** Rebuilds the list of templates inside the template manager window.
+ * Each row has controls to enable/disable, rename, reorder, and delete the template.
+ * 
+ * Parent/child relationships in the DOM structure below are indicated by indentation.
+ * @since 0.84.3
+ */
+function buildTemplateList() {
+  const templateList = document.querySelector('#bm-contain-templates');
+
+  if (!templateList) {return;} // Kills itself if the template manager has not been built yet
+
+  templateList.innerHTML = ''; // Removes the old rows
+  templateListElements.clear();
+
+  const templatesSorted = [...templateManager.templatesArray].sort((a, b) => a.sortID - b.sortID);
+
+  if (templatesSorted.length == 0) {
+    overlayTabTemplate.addP({'textContent': 'No templates loaded.'}).buildOverlay(templateList);
+    return;
+  }
+
+  for (const [index, template] of templatesSorted.entries()) {
+    const pixelCountFormatted = new Intl.NumberFormat().format(template.pixelCount);
+    const erasePixelCountFormatted = template.erasePixelCount ? ` | Erase: ${new Intl.NumberFormat().format(template.erasePixelCount)}` : '';
+
+    overlayTabTemplate.addDiv({'className': 'bm-contain-template'})
+      .addCheckbox({'textContent': template.displayName, 'checked': template.enabled, 'title': 'Enable/disable this template'},
+        (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            templateManager.setTemplateEnabled(template, checkbox.checked);
+          });
+        }
+      ).buildElement()
+      .addSmall({'textContent': `Coords: ${template.coords?.join(', ') ?? 'Unknown'}`}).buildElement()
+      .addSmall({'textContent': `Size: ${template.width}×${template.height} | Pixels: ${pixelCountFormatted}${erasePixelCountFormatted}`}).buildElement()
+      .addSmall({'className': 'bm-template-progress'}, (instance, small) => {
+        templateListElements.set(template, {'progress': small});
+      }).buildElement()
+      .addDiv({'className': 'bm-contain-template-colors', 'style': 'display: none;'}, (instance, div) => {
+        templateListElements.get(template)['colors'] = div;
+      }).buildElement()
+      .addDiv({'className': 'bm-contain-template-render'})
+        .addSelect({'textContent': 'Draw: ', 'title': 'How the template is drawn on the canvas', 'value': template.renderMode, 'options': [
+          {'value': 'dots', 'textContent': 'Dots'},
+          {'value': 'fill', 'textContent': 'Fill'},
+          {'value': 'translucent', 'textContent': 'Translucent fill'},
+          {'value': 'outline', 'textContent': 'Outline'}
+        ]}, (instance, label, select) => {
+          select.addEventListener('change', () => {
+            select.parentNode.parentNode.querySelector('.bm-input-template-opacity').hidden = (select.value != 'translucent');
+            templateManager.setTemplateRenderMode(template, select.value);
+          });
+        }).buildElement()
+        .addInput({'type': 'range', 'className': 'bm-input-template-opacity', 'title': 'Opacity', 'min': 5, 'max': 100, 'step': 5, 'value': Math.round(template.renderOpacity * 100), 'hidden': template.renderMode != 'translucent'},
+          (instance, input) => {
+            input.addEventListener('change', () => {
+              templateManager.setTemplateRenderMode(template, template.renderMode, input.value / 100);
+            });
+          }
+        ).buildElement()
+      .buildElement()
+      .addDiv({'className': 'bm-contain-buttons-template-row'})
+        .addButton({'className': 'bm-help', 'textContent': '✎', 'title': 'Rename'}, (instance, button) => {
+          button.onclick = () => {
+            const name = window.prompt('New template name:', template.displayName);
+            if (name === null) {return;} // Kills itself if the prompt was cancelled
+            templateManager.renameTemplate(template, name);
+          }
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '↑', 'title': 'Move up (drawn above the templates below it)', 'disabled': index == 0}, (instance, button) => {
+          button.onclick = () => {templateManager.moveTemplate(template, -1);}
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '↓', 'title': 'Move down (drawn below the templates above it)', 'disabled': index == templatesSorted.length - 1}, (instance, button) => {
+          button.onclick = () => {templateManager.moveTemplate(template, 1);}
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '⌖', 'title': 'Jump to (reloads the page at this template)', 'disabled': !getTemplateMapLink(template)}, (instance, button) => {
+          button.onclick = () => {openMapLink(getTemplateMapLink(template));}
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '🔗', 'title': 'Copy a link to this template', 'disabled': !getTemplateMapLink(template)}, (instance, button) => {
+          button.onclick = () => {
+            navigator.clipboard.writeText(getTemplateMapLink(template))
+              .then(() => overlayMain.handleDisplayStatus(`Copied a link to "${template.displayName}"!`))
+              .catch(() => overlayMain.handleDisplayError(`Could not copy the link to "${template.displayName}"!`));
+          }
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '🎨', 'title': 'Show/hide colors', 'disabled': Object.keys(template.colorCounts).length == 0}, (instance, button) => {
+          button.onclick = () => {
+            const colors = button.parentNode.parentNode.querySelector('.bm-contain-template-colors');
+            colors.style.display = (colors.style.display == 'none') ? '' : 'none';
+          }
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '⤓', 'title': 'Export'}, (instance, button) => {
+          button.onclick = () => {exportTemplates([template], template.displayName);}
+        }).buildElement()
+        .addButton({'className': 'bm-help', 'textContent': '✕', 'title': 'Delete'}, (instance, button) => {
+          button.onclick = () => {
+            if (!window.confirm(`Delete the template "${template.displayName}"? This can not be undone.`)) {return;}
+            templateManager.deleteTemplate(template);
+          }
+        }).buildElement()
+      .buildElement()
+    .buildOverlay(templateList);
+
+    updateTemplateProgress(template);
+  }
 }
+
+/** Creates a wplace.live link to the center of a template, zoomed to fit the template on screen.
+ * @param {Template} template - The template
+ * @returns {string|null} The link, or null if the template has no coordinates
+ * @since 0.84.22
+ */
+function getTemplateMapLink(template) {
+  if (!template.coords || !template.width || !template.height) {return null;} // Kills itself if the template was never placed
+
+  const [x, y] = tilePixelToGlobal(...template.coords.map(Number));
+  return createMapLink(x + template.width / 2, y + template.height / 2, zoomToFit(template.width, template.height));
+}
+
+/** Reloads the page at a position on the map.
+ * Blue Marble can not reach the map of the page, so the map can only be moved by opening a link to the new position.
+ * Templates are saved, but a template that is being placed is lost, so the user is asked first.
+ * @param {string} link - The link to open, from {@link createMapLink}
+ * @since 0.84.22
+ */
+function openMapLink(link) {
+  if (templateManager.placementPreview && !window.confirm('Reloading the page cancels placing the template. Continue?')) {return;} // Kills itself if the user keeps placing
+
+  overlayMain.handleDisplayStatus(`Reloading the page at the new position...`);
+  window.location.href = link;
+}
+
+/** Updates the progress of a template in the template list.
+ * Shows how many pixels are correct, wrong, missing, unknown (on tiles that have not been seen yet), and covered by templates above it.
+ * Erase markers are shown on their own, since they are not part of the paintable pixels.
+ * @param {Template} template - The template to update
+ * @since 0.84.7
+ */
+function updateTemplateProgress(template) {
+  const elements = templateListElements.get(template);
+
+  if (!elements) {return;} // Kills itself if the template is not in the template list
+
+  const progress = templateManager.getTemplateProgress(template);
+  const format = new Intl.NumberFormat().format;
+
+  elements['progress'].textContent = (progress['percent'] === null)
+    ? `Progress: Unknown (no tiles seen yet)`
+    : `Progress: ${progress['percent'].toFixed(1)}% of seen | ✓ ${format(progress['correct'])} ✗ ${format(progress['wrong'])} ○ ${format(progress['missing'])} ? ${format(progress['unknown'])}${progress['covered'] ? ` ▣ ${format(progress['covered'])}` : ''}`;
+  elements['progress'].title = `Correct: ${progress['correct']}, Wrong: ${progress['wrong']}, Missing: ${progress['missing']}, Unknown: ${progress['unknown']}, Covered by templates above: ${progress['covered']}`;
+
+  const erase = progress['erase'];
+  if (erase['total']) {
+    elements['progress'].textContent += ` | Erased: ${format(erase['correct'])}/${format(erase['total'])}`;
+    elements['progress'].title += `\nErase markers - Erased: ${erase['correct']}, Not erased: ${erase['wrong']}, Unknown: ${erase['unknown']}, Covered by templates above: ${erase['covered']}`;
+  }
+
+  // Lists every palette color of the template, most used first
+  elements['colors'].innerHTML = '';
+  const ownedColorIDs = getOwnedColorIDs(); // Colors the user does not own are marked as locked
+  const colorsSorted = Object.entries(progress['colors']).sort(([, colorA], [, colorB]) => colorB['total'] - colorA['total']);
+  for (const [colorID, colorProgress] of colorsSorted) {
+    const color = colorpalette[colorID];
+    const small = document.createElement('small');
+    small.textContent = `${color?.name ?? `Color ${colorID}`}: ${format(colorProgress['correct'])}/${format(colorProgress['total'])}${colorProgress['unknown'] ? ` (${format(colorProgress['unknown'])} unknown)` : ''}`;
+    small.title = `Correct: ${colorProgress['correct']}, Wrong: ${colorProgress['wrong']}, Missing: ${colorProgress['missing']}, Unknown: ${colorProgress['unknown']}, Covered by templates above: ${colorProgress['covered']}`;
+    small.style.setProperty('--bm-color-swatch', `rgb(${(color?.rgb ?? [0, 0, 0]).join(', ')})`);
+    if (ownedColorIDs && Number(colorID) !== 0 && !ownedColorIDs.includes(Number(colorID))) { // Transparent (erase) can always be painted
+      small.textContent = `🔒 ${small.textContent}`;
+      small.title += ` (You do not own this color)`;
+    }
+    elements['colors'].appendChild(small);
+  }
+}
+
+/** Reads the color conversion options from the main overlay.
+ * When "Owned Colors Only" is enabled, only the colors the user owns can be chosen.
+ * @returns {{matching: string, dithering: string, colorIDs?: Array<number>}} The options for {@link convertBlobToPalette}
+ * @since 0.84.9
+ */
+function getConvertOptions() {
+  const options = {
+    'matching': document.querySelector('#bm-input-convert-matching')?.value || 'rgb',
+    'dithering': document.querySelector('#bm-input-convert-dithering')?.value || 'none'
+  };
+
+  if (document.querySelector('#bm-input-owned-colors')?.checked) {
+    const ownedColorIDs = getOwnedColorIDs();
+
+    if (ownedColorIDs?.length) {
+      options['colorIDs'] = ownedColorIDs;
+    } else {
+      consoleWarn(`Owned colors are not known yet (are you logged in?). Converting to all colors instead.`);
+    }
+  }
+
+  return options;
+}
+
+/** Shows which colors of the uploaded template the user does not own, and how many pixels use them.
+ * The original (unconverted) template is counted, so the report shows what the design needs.
+ * @param {Blob} file - The uploaded template file
+ * @since 0.84.10
+ */
+async function updateLockedColorsReport(file) {
+  const report = document.querySelector('#bm-output-convert-report');
+  const ownedColorIDs = getOwnedColorIDs();
+
+  if (!report) {return;} // Kills itself if the report element does not exist
+
+  if (!ownedColorIDs) {
+    report.textContent = 'Owned colors are not known yet. Log in to see which colors you are missing.';
+    report.hidden = false;
+    return;
+  }
+
+  const bitmap = await createImageBitmap(file);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close(); // The pixels are read from the canvas from here on
+
+  const lockedColors = createLockedColorsReport(countPalettePixels(context.getImageData(0, 0, canvas.width, canvas.height).data), ownedColorIDs);
+  const format = new Intl.NumberFormat().format;
+
+  report.textContent = lockedColors.length
+    ? `🔒 Colors you do not own: ${lockedColors.map(color => `${color['name']} (${format(color['count'])})`).join(', ')}`
+    : 'You own every color of this template!';
+  report.hidden = false;
+}
+
+/** Loads an image as the template file, as if it was picked with the "Upload Template" button.
+ * Only the image types the file picker accepts are loaded.
+ * @param {File} file - The image file
+ * @returns {boolean} True if the image was loaded, false otherwise
+ * @since 0.84.24
+ */
+function setTemplateFile(file) {
+  const input = document.querySelector('#bm-input-file-template');
+
+  if (!input || !file) {return false;} // Kills itself if there is nowhere to load the file, or nothing to load
+
+  const acceptedTypes = input.accept.split(',').map(type => type.trim());
+  if (!acceptedTypes.includes(file.type)) {
+    overlayMain.handleDisplayError(`"${file.name}" can not be used as a template! Use a PNG, JPEG, WEBP, BMP or GIF image.`);
+    return false;
+  }
+
+  const dataTransfer = new DataTransfer(); // The only way to change the files of a file input
+  dataTransfer.items.add(file);
+  input.files = dataTransfer.files;
+  input.dispatchEvent(new Event('change')); // Updates the upload button, thumbnail and conversion preview
+
+  overlayMain.handleDisplayStatus(`Loaded "${file.name}" as the template! Press "Create" to place it.`);
+  return true;
+}
+
+let templateFileConverted = null; // The uploaded template file, converted with the current options
+let convertPreviewRevision = 0; // Increases every time the preview is requested, so older (slower) conversions are discarded
+
+/** Converts the uploaded template file with the current options, and shows the before/after preview.
+ * Errors are shown in the status, since this runs from event listeners.
+ * @since 0.84.9
+ */
+async function updateConvertPreview() {
+
+  const revision = ++convertPreviewRevision;
+  const file = document.querySelector('#bm-input-file-template')?.files[0];
+  const shouldConvert = document.querySelector('#bm-input-convert')?.checked;
+  const imgBefore = document.querySelector('#bm-img-convert-before');
+  const imgAfter = document.querySelector('#bm-img-convert-after');
+
+  templateFileConverted = null;
+
+  const report = document.querySelector('#bm-output-convert-report');
+  if (report) {report.hidden = true;}
+
+  // Frees the old previews
+  for (const img of [imgBefore, imgAfter]) {
+    if (img?.src) {URL.revokeObjectURL(img.src);}
+    img?.removeAttribute('src');
+    if (img) {img.hidden = true;}
+  }
+
+  if (!file || !shouldConvert) {return;} // Kills itself if there is nothing to convert
+
+  imgBefore.src = URL.createObjectURL(file);
+  imgBefore.hidden = false;
+
+  try {
+    overlayMain.handleDisplayStatus(`Converting template to palette...`);
+    const fileConverted = await convertBlobToPalette(file, getConvertOptions());
+
+    if (revision !== convertPreviewRevision) {return;} // Kills itself if the options changed during the conversion
+
+    await updateLockedColorsReport(file);
+
+    if (revision !== convertPreviewRevision) {return;} // Kills itself if the options changed during the report
+
+    templateFileConverted = fileConverted;
+    imgAfter.src = URL.createObjectURL(fileConverted);
+    imgAfter.hidden = false;
+    overlayMain.handleDisplayStatus(`Converted template to palette! Press "Create" to use it.`);
+  } catch (error) {
+    if (revision !== convertPreviewRevision) {return;} // Kills itself if a newer preview was requested since
+    overlayMain.handleDisplayError(`Could not convert "${file.name}"! ${error.message}`);
+  }
+}
+
+/** Downloads templates as a template bundle file.
+ * The file can be imported again with the "Import" button of the template manager.
+ * @param {Array<Template>} templates - The templates to export
+ * @param {string} fileName - The name of the file, without the extension
+ * @since 0.84.4
+ */
+async function exportTemplates(templates, fileName) {
+  if (templates.length == 0) {
+    overlayTabTemplate.handleDisplayError('There are no templates to export!');
+    return;
+  }
+
+  const json = await templateManager.exportJSON(templates);
+  const blob = new Blob([JSON.stringify(json)], { type: 'application/json' });
+  downloadBlob(blob, `${fileName.replace(/[\\/:*?"<>|]/g, '_')}.json`); // Replaces characters that are not allowed in file names
+  overlayTabTemplate.handleDisplayStatus(`Exported ${templates.length} template${templates.length == 1 ? '' : 's'}!`);
+}
+
 if (paintCountInput) {
     paintCountInput.addEventListener('input', (event) => {
         localStorage.setItem('bm-quick-paint-count', event.target.value);
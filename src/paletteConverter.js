@@ -0,0 +1,245 @@
+/** @file Converts images to the wplace.live color palette.
+ * Handles nearest-color matching (RGB or CIEDE2000) and dithering (Floyd–Steinberg or ordered).
+ * @since 0.84.9
+ */
+
+import { colorpalette, rgbToLab, ciede2000, findClosestColor, getMarkerKind } from './utils.js';
+
+/** The 4x4 Bayer matrix used for ordered dithering.
+ * Every value is between 0 and 15 (inclusive).
+ * @since 0.84.9
+ */
+const bayerMatrix = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+/** How strong ordered dithering is. This is the maximum amount added or removed from each color channel.
+ * @since 0.84.9
+ */
+const orderedDitherSpread = 32;
+
+/** Creates a function that finds the closest palette color to an RGB color.
+ * The results are cached, since most images only use a few colors.
+ * @param {'rgb'|'ciede2000'} matching - How the distance between colors is measured
+ * @param {Array<number>} colorIDs - The palette color IDs that can be chosen
+ * @returns {function(number, number, number):number} A function that returns the closest palette color ID of an RGB color
+ * @since 0.84.9
+ */
+function createColorMatcher(matching, colorIDs) {
+
+  const paletteRGB = colorIDs.map(colorID => colorpalette[colorID]['rgb']);
+  const paletteLab = (matching == 'ciede2000') ? paletteRGB.map(rgb => rgbToLab(...rgb)) : null;
+  const cache = new Map(); // RGB key to palette color ID
+
+  return (red, green, blue) => {
+    const colorKey = (red << 16) | (green << 8) | blue;
+    const cached = cache.get(colorKey);
+    if (cached !== undefined) {return cached;}
+
+    let distanceMin = Infinity;
+    let colorIDClosest = colorIDs[0];
+
+    if (paletteLab) {
+      const lab = rgbToLab(red, green, blue);
+      for (let i = 0; i < paletteLab.length; i++) {
+        const distance = ciede2000(lab, paletteLab[i]);
+        if (distance < distanceMin) {
+          distanceMin = distance;
+          colorIDClosest = colorIDs[i];
+        }
+      }
+    } else {
+      for (let i = 0; i < paletteRGB.length; i++) {
+        const dr = red - paletteRGB[i][0];
+        const dg = green - paletteRGB[i][1];
+        const db = blue - paletteRGB[i][2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < distanceMin) {
+          distanceMin = distance;
+          colorIDClosest = colorIDs[i];
+        }
+      }
+    }
+
+    if (cache.size > 65536) {cache.clear();} // Dithering creates many colors, so the cache is kept from growing forever
+    cache.set(colorKey, colorIDClosest);
+    return colorIDClosest;
+  };
+}
+
+/** Converts the pixels of an image to the color palette.
+ * Transparent pixels stay transparent, and marker pixels (see {@link markerColors}) are left untouched.
+ * @param {Uint8ClampedArray} data - The RGBA pixels of the image. This is not modified
+ * @param {number} width - The width of the image
+ * @param {number} height - The height of the image
+ * @param {Object} [options={}] - How to convert the image
+ * @param {'rgb'|'ciede2000'} [options.matching='rgb'] - How the distance between colors is measured
+ * @param {'none'|'floyd-steinberg'|'ordered'} [options.dithering='none'] - The dithering to use
+ * @param {Array<number>} [options.colorIDs] - The palette color IDs that can be used. All colors (except transparent) by default
+ * @returns {Uint8ClampedArray} The RGBA pixels of the converted image
+ * @since 0.84.9
+ */
+export function convertPixelsToPalette(data, width, height, {
+  matching = 'rgb',
+  dithering = 'none',
+  colorIDs = colorpalette.map((color, colorID) => colorID).slice(1)
+} = {}) {
+
+  const findColorID = createColorMatcher(matching, colorIDs);
+  const output = new Uint8ClampedArray(data.length);
+  const errors = (dithering == 'floyd-steinberg') ? new Float32Array(width * height * 3) : null; // Error carried over to each pixel
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+
+      const pixel = y * width + x;
+      const index = pixel * 4;
+
+      // Transparent pixels stay transparent
+      if (data[index + 3] <= 128) {
+        output[index + 3] = 0;
+        continue;
+      }
+
+      // Marker pixels are not colors, so they are copied as-is
+      if (getMarkerKind(data[index], data[index + 1], data[index + 2])) {
+        output.set([data[index], data[index + 1], data[index + 2], 255], index);
+        continue;
+      }
+
+      let red = data[index];
+      let green = data[index + 1];
+      let blue = data[index + 2];
+
+      if (errors) {
+        red += errors[pixel * 3];
+        green += errors[pixel * 3 + 1];
+        blue += errors[pixel * 3 + 2];
+      } else if (dithering == 'ordered') {
+        const threshold = ((bayerMatrix[y % 4][x % 4] + 0.5) / 16 - 0.5) * orderedDitherSpread;
+        red += threshold;
+        green += threshold;
+        blue += threshold;
+      }
+
+      // Clamps and rounds the channels so they can be matched
+      red = Math.min(255, Math.max(0, Math.round(red)));
+      green = Math.min(255, Math.max(0, Math.round(green)));
+      blue = Math.min(255, Math.max(0, Math.round(blue)));
+
+      const colorRGB = colorpalette[findColorID(red, green, blue)]['rgb'];
+      output.set([colorRGB[0], colorRGB[1], colorRGB[2], 255], index);
+
+      // Spreads the error to the neighbouring pixels that have not been converted yet
+      if (errors) {
+        const error = [red - colorRGB[0], green - colorRGB[1], blue - colorRGB[2]];
+        const neighbours = [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]];
+
+        for (const [offsetX, offsetY, weight] of neighbours) {
+          const neighbourX = x + offsetX;
+          const neighbourY = y + offsetY;
+          if (neighbourX < 0 || neighbourX >= width || neighbourY >= height) {continue;}
+
+          const neighbour = neighbourY * width + neighbourX;
+          if (data[neighbour * 4 + 3] <= 128) {continue;} // Transparent pixels do not take error
+
+          for (let channel = 0; channel < 3; channel++) {
+            errors[neighbour * 3 + channel] += error[channel] * weight;
+          }
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+/** Counts how many paintable pixels of each palette color an image has.
+ * Transparent pixels can not be painted, so they are not counted.
+ * Marker pixels are not paint either, so they are not counted. Erase markers are counted on their own by {@link countErasePixels}.
+ * @param {Uint8ClampedArray} data - The RGBA pixels of the image
+ * @returns {Object.<number, number>} Pixel count of each palette color ID
+ * @since 0.84.10
+ */
+export function countPalettePixels(data) {
+
+  const colorCounts = {}; // Pixel count of each palette color ID
+  const colorIDCache = new Map(); // Caches the palette color ID of every RGB color found, since most templates only use a few colors
+
+  for (let pixelIndex = 0; pixelIndex < data.length; pixelIndex += 4) {
+    const red = data[pixelIndex];
+    const green = data[pixelIndex + 1];
+    const blue = data[pixelIndex + 2];
+
+    if (data[pixelIndex + 3] <= 128) {continue;} // Skips transparent pixels
+
+    const colorKey = (red << 16) | (green << 8) | blue;
+    let colorID = colorIDCache.get(colorKey);
+    if (colorID === undefined) {
+      colorID = getMarkerKind(red, green, blue) ? -1 // Markers have no color to paint
+        : findClosestColor({ r: red, g: green, b: blue });
+      colorIDCache.set(colorKey, colorID);
+    }
+
+    if (colorID < 0) {continue;} // Skips markers
+
+    colorCounts[colorID] = (colorCounts[colorID] || 0) + 1;
+  }
+
+  return colorCounts;
+}
+
+/** Counts how many erase marker pixels an image has.
+ * These pixels must end up transparent, so they are not counted as paintable pixels by {@link countPalettePixels}.
+ * @param {Uint8ClampedArray} data - The RGBA pixels of the image
+ * @returns {number} The number of erase marker pixels
+ * @since 0.84.18
+ */
+export function countErasePixels(data) {
+  let erasePixelCount = 0;
+
+  for (let pixelIndex = 0; pixelIndex < data.length; pixelIndex += 4) {
+    if (data[pixelIndex + 3] <= 128) {continue;} // Skips transparent pixels
+    if (getMarkerKind(data[pixelIndex], data[pixelIndex + 1], data[pixelIndex + 2]) == 'erase') {erasePixelCount++;}
+  }
+
+  return erasePixelCount;
+}
+
+/** Finds the colors of an image that the user does not own.
+ * Only premium colors can be locked, since the free colors are owned by everyone.
+ * @param {Object.<number, number>} colorCounts - Pixel count of each palette color ID
+ * @param {Array<number>} ownedColorIDs - The palette color IDs the user owns
+ * @returns {Array<{colorID: number, name: string, count: number}>} The locked colors, most used first
+ * @since 0.84.10
+ * @example
+ * console.log(createLockedColorsReport({5: 10, 40: 3}, [1, 2, 3, 4, 5])); // [{colorID: 40, name: 'Dark Olive', count: 3}]
+ */
+export function createLockedColorsReport(colorCounts, ownedColorIDs) {
+  return Object.entries(colorCounts)
+    .map(([colorID, count]) => ({ 'colorID': Number(colorID), 'name': colorpalette[colorID]?.['name'] ?? `Color ${colorID}`, 'count': count }))
+    .filter(color => color['colorID'] !== 0 && !ownedColorIDs.includes(color['colorID']))
+    .sort((colorA, colorB) => colorB['count'] - colorA['count']);
+}
+
+/** Converts an image file to the color palette.
+ * @param {Blob} blob - The image to convert
+ * @param {Object} [options={}] - How to convert the image. See {@link convertPixelsToPalette}
+ * @returns {Promise<Blob>} The converted image, as a PNG
+ * @since 0.84.9
+ */
+export async function convertBlobToPalette(blob, options = {}) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+
+  const imageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  imageData.data.set(convertPixelsToPalette(imageData.data, bitmap.width, bitmap.height, options));
+  context.putImageData(imageData, 0, 0);
+
+  return await canvas.convertToBlob({ type: 'image/png' });
+}
@@ -1,5 +1,9 @@
 import Template from "./Template";
-import { base64ToUint8, numberToEncoded, findClosestColor, calculateColorDifference, colorpalette } from "./utils";
+import RenderCache from "./RenderCache";
+import TileWorker from "./TileWorker";
+import { templatesSchemaVersion, migrateTemplatesJSON, validateTemplatesJSON } from "./templateSchema";
+import { base64ToUint8, uint8ToBase64, numberToEncoded, getOwnedColorIDs, hashArrayBuffer, markerColors, setMarkerColors, negativeSafeModulo, consoleError } from "./utils";
+import { tileSize, worldSize, tilePixelToGlobal, offsetTilePixel, parseChunkKey } from "./coordinates";
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
@@ -18,10 +22,10 @@ export default class TemplateManager {
     this.name = name; // Name of userscript
     this.version = version; // Version of userscript
     this.overlay = overlay; // The main instance of the Overlay class
-    this.templatesVersion = '1.0.0'; // Version of JSON schema
+    this.templatesVersion = templatesSchemaVersion; // Version of JSON schema
     this.userID = null; // The ID of the current user
     this.encodingBase = '!#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]^_`abcdefghijklmnopqrstuvwxyz{|}~'; // Characters to use for encoding/decoding
-    this.tileSize = 1000; // The number of pixels in a tile. Assumes the tile is square
+    this.tileSize = tileSize; // The number of pixels in a tile. Assumes the tile is square
     this.drawMult = 3; // The enlarged size for each pixel. E.g. when "3", a 1x1 pixel becomes a 1x1 pixel inside a 3x3 area. MUST BE ODD
     
     // Template
@@ -29,12 +33,139 @@ export default class TemplateManager {
     this.templatesJSON = null; // All templates currently loaded (JSON)
     this.templatesShouldBeDrawn = true; // Should ALL templates be drawn to the canvas?
     this.analyzeTransparentPixels = false; // Should transparent pixels be targeted for analysis?
+    this.ownedColorsOnly = false; // Should template colors the user does not own be replaced with the closest owned color?
+    this.highlightErrors = false; // Should wrong, missing, erase, protect and Grief-Clean pixels be highlighted on the canvas?
+    this.hideCorrectPixels = false; // Should the template be hidden where the canvas is already correct?
+    this.highlightColors = { 'wrong': 'rgb(255, 0, 0)', 'missing': 'rgb(255, 200, 0)', 'grief': 'rgb(255, 0, 255)', 'erase': 'rgb(255, 0, 255)', 'protect': 'rgb(0, 0, 255)', 'conflict': 'rgb(0, 255, 255)' }; // The frame color of each highlighted pixel state
     this.pixelQueue = JSON.parse(localStorage.getItem('bm-pixel-queue') || '[]'); // The queue of pixels to be painted
     this.tileCache = new Map(); // Cache for tile data ArrayBuffers to detect changes and for on-demand analysis
-    this.templateColorCache = new Map(); // Cache for mapping template colors to the game palette to reduce calculations.
+    this.tileWorker = new TileWorker(); // Analyzes and draws tiles off the main thread
+    Template.tileWorker = this.tileWorker; // Templates create their chunks in the same worker
+    this.templatesChangedCallback = null; // Called whenever the loaded templates change. Later populated when setTemplatesChangedCallback is called
+    this.templatesProgress = new WeakMap(); // The progress of each template (Template), per tile (Map of "x,y" to progress)
+    this.progressChangedCallback = null; // Called whenever the progress of a template changes. Later populated when setProgressChangedCallback is called
+    this.renderCache = new RenderCache(); // Tiles that already have the templates drawn on them, keyed by tile, tile hash, and render revision
+    this.renderRevision = 0; // Increases whenever a template or render setting changes, so older renders are not reused
+    this.tileIndex = new Map(); // The templates on each tile, keyed by "tx,ty". Later populated when #rebuildTileIndex is called
+    this.placementPreview = null; // The template being placed, as {file, name, bitmap, coords, drawing}. Nothing is stored until the placement is confirmed
 
   }
 
+  /** Populates the callback that runs whenever the progress of a template changes.
+   * @param {function(Template):void} callback - The callback to run
+   * @since 0.84.7
+   */
+  setProgressChangedCallback(callback) {this.progressChangedCallback = callback;}
+
+  /** Populates the callback that runs whenever the loaded templates change.
+   * @param {function(TemplateManager):void} callback - The callback to run
+   * @since 0.84.3
+   */
+  setTemplatesChangedCallback(callback) {this.templatesChangedCallback = callback;}
+
+  /** Runs the templates changed callback, if any.
+   * @since 0.84.3
+   */
+  #handleTemplatesChanged() {
+    this.#rebuildTileIndex();
+    this.#bumpRenderRevision();
+    this.templatesChangedCallback?.(this);
+  }
+
+  /** Rebuilds the index of which template chunks are on which tile.
+   * Call this whenever templates are added, removed, or chunked again.
+   * @since 0.84.15
+   */
+  #rebuildTileIndex() {
+    this.tileIndex = new Map();
+
+    for (const template of this.templatesArray) {
+
+      const templateTiles = new Map(); // The entry of this template on each tile
+
+      for (const chunkKey of template.getChunkKeys()) {
+        const [tileX, tileY, pixelX, pixelY] = parseChunkKey(chunkKey);
+        const tileKey = `${tileX},${tileY}`;
+
+        if (!templateTiles.has(tileKey)) {
+          templateTiles.set(tileKey, { 'template': template, 'chunks': [], 'pixelCount': 0 });
+        }
+
+        const entry = templateTiles.get(tileKey);
+        const chunkPixelCount = template.chunkPixelCounts?.[chunkKey];
+        entry['chunks'].push({ 'chunkKey': chunkKey, 'pixelCoords': [pixelX, pixelY] });
+        entry['pixelCount'] = (chunkPixelCount === undefined || entry['pixelCount'] === null) ? null : entry['pixelCount'] + chunkPixelCount; // Null if any chunk was never counted
+      }
+
+      for (const [tileKey, entry] of templateTiles) {
+        if (!this.tileIndex.has(tileKey)) {
+          this.tileIndex.set(tileKey, []);
+        }
+        this.tileIndex.get(tileKey).push(entry);
+      }
+    }
+  }
+
+  /** Finds every template on a tile.
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {Array<{template: Template, chunks: Array<{chunkKey: string, pixelCoords: Array<number>}>, pixelCount: number|null}>} The templates on the tile, their chunks on the tile, and their paintable pixel count on the tile (null if unknown)
+   * @since 0.84.15
+   */
+  getTemplatesOnTile(tileCoords) {
+    return this.tileIndex.get(`${Number(tileCoords[0])},${Number(tileCoords[1])}`) ?? [];
+  }
+
+  /** Compares the layer order of two templates, for sorting.
+   * Templates higher in the template list (lower sort ID) are drawn on top, and win where templates overlap.
+   * The author ID breaks ties, so the order is the same every time.
+   * @param {Template} templateA - The first template
+   * @param {Template} templateB - The second template
+   * @returns {number} Negative if A is drawn below B, positive if A is drawn above B
+   * @since 0.84.17
+   */
+  #compareLayerOrder(templateA, templateB) {
+    return (Number(templateB.sortID) - Number(templateA.sortID)) || String(templateB.authorID).localeCompare(String(templateA.authorID));
+  }
+
+  /** Finds the chunks of every enabled template on a tile, in layer order (bottom layer first).
+   * Chunks that were not created yet are created now. Release the chunks with {@link Template.releaseChunk} once they are used.
+   * Rendering and analysis both use this order, so they agree on which template wins where templates overlap.
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {Promise<Array<{template: Template, chunkKey: string, bitmap: ImageBitmap, pixelCoords: Array<number>}>>} The chunks on the tile
+   * @since 0.84.15
+   */
+  async #getEnabledChunksOnTile(tileCoords) {
+    const chunks = [];
+    const templatesOnTile = this.getTemplatesOnTile(tileCoords)
+      .filter(entry => entry['template'].enabled)
+      .sort((entryA, entryB) => this.#compareLayerOrder(entryA['template'], entryB['template']));
+
+    for (const entry of templatesOnTile) {
+      for (const chunk of entry['chunks']) {
+        const bitmap = await entry['template'].getChunk(chunk['chunkKey']);
+        if (!bitmap) {continue;} // Skips chunks that could not be created
+
+        chunks.push({
+          'template': entry['template'],
+          'chunkKey': chunk['chunkKey'],
+          'bitmap': bitmap,
+          'pixelCoords': chunk['pixelCoords']
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  /** Marks every cached render as outdated.
+   * Call this whenever anything that changes how tiles are drawn changes.
+   * @since 0.84.13
+   */
+  #bumpRenderRevision() {
+    this.renderRevision++;
+    this.renderCache.clear(); // Old renders can never be used again
+  }
+
   /** Creates the JSON object to store templates in
    * @returns {{ whoami: string, scriptVersion: string, schemaVersion: string, templates: Object }} The JSON object
    * @since 0.65.4
@@ -63,29 +194,300 @@ export default class TemplateManager {
 
     const template = new Template({
       displayName: name,
-      sortID: 0,
+      sortID: this.#getNextSortID(),
       authorID: numberToEncoded(this.userID || 0, this.encodingBase),
       file: blob,
       coords: coords
     });
     
-    // --- FIX: Reverted this call to its original form to resolve the bug ---
-    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize);
-    template.chunked = templateTiles;
+    await template.createTemplateTiles(progress => {
+      this.overlay.handleDisplayStatus(`Creating template at ${coords.join(', ')}... ${Math.round(progress * 100)}%`);
+    });
 
-    this.templatesJSON['templates'][`${template.sortID} ${template.authorID}`] = {
+    this.templatesJSON['templates'][this.#getTemplateKey(template)] = {
       "name": template.displayName,
       "coords": coords.join(', '),
-      "enabled": true,
-      "tiles": templateTilesBuffers
+      "enabled": template.enabled,
+      "renderMode": template.renderMode, // How the template is drawn on the canvas
+      "renderOpacity": template.renderOpacity, // The opacity of the template when drawn "translucent"
+      "pixels": template.pixelCount, // Total pixel count of the template
+      "erasePixels": template.erasePixelCount, // Erase marker pixel count of the template. These are not in "pixels"
+      "colors": template.colorCounts, // Pixel count of each palette color ID
+      "width": template.width, // Width of the template in pixels
+      "height": template.height, // Height of the template in pixels
+      "url": template.url, // URL to the source image, if any
+      "file": uint8ToBase64(new Uint8Array(await blob.arrayBuffer())), // The source image. The tiles are created from it when loaded
+      "fileType": blob.type || 'image/png' // The MIME type of the source image
     };
 
-    this.templatesArray = [template]; // Replace existing templates
+    this.templatesArray.push(template); // Adds the template next to any templates already loaded
 
     const pixelCountFormatted = new Intl.NumberFormat().format(template.pixelCount);
     this.overlay.handleDisplayStatus(`Template created at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted}`);
 
     await this.#storeTemplates();
+    this.#handleTemplatesChanged();
+  }
+
+  /** Shows a template as a ghost on the canvas, so it can be moved into place before it is created.
+   * Nothing is stored until {@link confirmPlacementPreview} is called.
+   * @param {File} blob - The file blob to create the template from
+   * @param {string} name - The display name of the template
+   * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @since 0.84.23
+   */
+  async startPlacementPreview(blob, name, coords) {
+    const bitmap = await createImageBitmap(blob);
+
+    this.clearPlacementPreview(); // Replaces any template already being placed
+    this.placementPreview = { 'file': blob, 'name': name, 'bitmap': bitmap, 'coords': coords, 'drawing': 0 };
+    this.#bumpRenderRevision();
+
+    this.overlay.handleDisplayStatus(`Placing template at ${coords.join(', ')}. Move the map once to show the preview, then move it with the arrow keys and confirm.`);
+  }
+
+  /** Moves the template being placed by a number of pixels.
+   * The template moves across tile boundaries, and stops at the top and bottom edges of the canvas.
+   * The tiles around it redraw themselves shortly after (see {@link getPlacementTileMaxAge}).
+   * @param {number} deltaX - The pixels to move right (negative moves left)
+   * @param {number} deltaY - The pixels to move down (negative moves up)
+   * @returns {Array<number>|null} The new coordinates of the top left corner of the template, or null if no template is being placed
+   * @since 0.84.23
+   */
+  movePlacementPreview(deltaX, deltaY) {
+    if (!this.placementPreview) {return null;} // Kills itself if no template is being placed
+
+    this.placementPreview['coords'] = offsetTilePixel(this.placementPreview['coords'], deltaX, deltaY);
+    this.#bumpRenderRevision();
+
+    return this.placementPreview['coords'];
+  }
+
+  /** Creates the template being placed, at the coordinates it was moved to.
+   * The template keeps being placed if it can not be created, so it can be tried again.
+   * @since 0.84.23
+   */
+  async confirmPlacementPreview() {
+    if (!this.placementPreview) {return;} // Kills itself if no template is being placed
+
+    const { file, name, coords } = this.placementPreview;
+    await this.createTemplate(file, name, coords);
+    this.clearPlacementPreview();
+  }
+
+  /** Stops placing a template, without creating it.
+   * @since 0.84.23
+   */
+  clearPlacementPreview() {
+    const preview = this.placementPreview;
+
+    if (!preview) {return;} // Kills itself if no template is being placed
+
+    this.placementPreview = null;
+    this.#freePlacementBitmap(preview);
+    this.#bumpRenderRevision();
+  }
+
+  /** Frees the image of a template that is no longer being placed, once no tile is being drawn with it.
+   * @param {Object} preview - The template that was being placed
+   * @since 0.84.23
+   */
+  #freePlacementBitmap(preview) {
+    if (preview === this.placementPreview || preview['drawing'] > 0) {return;} // Kills itself if the image is still used
+
+    preview['bitmap'].close();
+  }
+
+  /** Finds how long the map may keep a tile before fetching it again, while a template is being placed.
+   * The map keeps tiles until they expire, so the tiles around the template being placed are sent back expiring after a second. This redraws them shortly after every move.
+   * The injected script answers those refreshes with the tile it already has, so wplace.live is not asked for the tile again. Once the template is placed, the tiles are cached as usual.
+   * The margin of one tile also redraws the tiles the template was just moved off of.
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {number|null} The seconds the tile may be kept, or null if the tile can be kept as long as usual
+   * @since 0.84.23
+   */
+  getPlacementTileMaxAge(tileCoords) {
+    const preview = this.placementPreview;
+
+    if (!preview) {return null;} // Kills itself if no template is being placed
+
+    const [previewX, previewY] = tilePixelToGlobal(...preview['coords']);
+    const [tileX, tileY] = tilePixelToGlobal(Number(tileCoords[0]), Number(tileCoords[1]), 0, 0);
+    const pixelX = negativeSafeModulo(previewX - tileX + worldSize / 2, worldSize) - worldSize / 2; // The shortest way around the canvas
+    const pixelY = previewY - tileY;
+    const isNear = (pixelX < 2 * tileSize) && (pixelX + preview['bitmap'].width > -tileSize)
+      && (pixelY < 2 * tileSize) && (pixelY + preview['bitmap'].height > -tileSize);
+
+    return isNear ? 1 : null;
+  }
+
+  /** Finds where the template being placed is on a tile.
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {import('./tileProcessor.js').TileGhost|null} The template being placed, or null if it is not on the tile
+   * @since 0.84.23
+   */
+  #getPlacementGhost(tileCoords) {
+    const preview = this.placementPreview;
+
+    if (!preview) {return null;} // Kills itself if no template is being placed
+
+    const [previewX, previewY] = tilePixelToGlobal(...preview['coords']);
+    const [tileX, tileY] = tilePixelToGlobal(Number(tileCoords[0]), Number(tileCoords[1]), 0, 0);
+    const pixelX = negativeSafeModulo(previewX - tileX + worldSize / 2, worldSize) - worldSize / 2; // The shortest way around the canvas
+    const pixelY = previewY - tileY;
+
+    // Kills itself if the template is not on this tile
+    if (pixelX >= this.tileSize || pixelY >= this.tileSize || pixelX + preview['bitmap'].width <= 0 || pixelY + preview['bitmap'].height <= 0) {return null;}
+
+    return { 'bitmap': preview['bitmap'], 'pixelCoords': [pixelX, pixelY] };
+  }
+
+  /** Finds the next unused sort ID.
+   * The sort ID is one higher than the highest sort ID of all loaded templates.
+   * @returns {number} The sort ID for a new template
+   * @since 0.84.1
+   */
+  #getNextSortID() {
+    return this.templatesArray.reduce((highest, template) => Math.max(highest, Number(template.sortID) || 0), -1) + 1;
+  }
+
+  /** Creates the key a template is stored under in the templates JSON.
+   * @param {Template} template - The template
+   * @returns {string} The "sortID authorID" key
+   * @since 0.84.3
+   */
+  #getTemplateKey(template) {
+    return `${template.sortID} ${template.authorID}`;
+  }
+
+  /** Enables or disables a single template.
+   * Disabled templates are neither drawn nor analyzed.
+   * @param {Template} template - The template to change
+   * @param {boolean} enabled - Should the template be enabled?
+   * @since 0.84.3
+   */
+  async setTemplateEnabled(template, enabled) {
+    template.enabled = enabled;
+
+    const templateValue = this.templatesJSON?.['templates']?.[this.#getTemplateKey(template)];
+    if (templateValue) {templateValue['enabled'] = enabled;}
+
+    this.overlay.handleDisplayStatus(`${enabled ? 'Enabled' : 'Disabled'} template "${template.displayName}"!`);
+    await this.#storeTemplates();
+    this.#handleTemplatesChanged();
+  }
+
+  /** Changes how a template is drawn on the canvas.
+   * The template is drawn from its existing chunks, so the source image is not needed.
+   * @param {Template} template - The template to change
+   * @param {string} renderMode - The render mode. See {@link Template.renderModes}
+   * @param {number} [renderOpacity=template.renderOpacity] - The opacity of the template when drawn "translucent" (0 to 1)
+   * @since 0.84.11
+   */
+  async setTemplateRenderMode(template, renderMode, renderOpacity = template.renderOpacity) {
+    if (!Template.renderModes.includes(renderMode)) {
+      this.overlay.handleDisplayError(`Unknown render mode "${renderMode}"!`);
+      return;
+    }
+
+    template.renderMode = renderMode;
+    template.renderOpacity = Math.min(1, Math.max(0, Number(renderOpacity) || 0));
+
+    const templateValue = this.templatesJSON?.['templates']?.[this.#getTemplateKey(template)];
+    if (templateValue) {
+      templateValue['renderMode'] = template.renderMode;
+      templateValue['renderOpacity'] = template.renderOpacity;
+    }
+
+    this.#bumpRenderRevision();
+
+    this.overlay.handleDisplayStatus(`Template "${template.displayName}" is now drawn as "${renderMode}"! Move the map to redraw it.`);
+    await this.#storeTemplates();
+  }
+
+  /** Changes the display name of a template.
+   * @param {Template} template - The template to rename
+   * @param {string} name - The new display name
+   * @since 0.84.3
+   */
+  async renameTemplate(template, name) {
+    name = name?.trim();
+    if (!name) {
+      this.overlay.handleDisplayError('Template name can not be empty!');
+      return;
+    }
+
+    template.displayName = name;
+
+    const templateValue = this.templatesJSON?.['templates']?.[this.#getTemplateKey(template)];
+    if (templateValue) {templateValue['name'] = name;}
+
+    this.overlay.handleDisplayStatus(`Renamed template to "${name}"!`);
+    await this.#storeTemplates();
+    this.#handleTemplatesChanged();
+  }
+
+  /** Moves a template up or down in the sort order by swapping sort IDs with its neighbour.
+   * Since the sort ID is part of the storage key, both templates are stored under new keys.
+   * @param {Template} template - The template to move
+   * @param {number} direction - -1 to move the template up (lower sort ID), 1 to move it down (higher sort ID)
+   * @since 0.84.3
+   */
+  async moveTemplate(template, direction) {
+    const templatesSorted = [...this.templatesArray].sort((a, b) => a.sortID - b.sortID);
+    const neighbour = templatesSorted[templatesSorted.indexOf(template) + direction];
+
+    if (!neighbour) {return;} // Kills itself if the template is already at the top/bottom
+
+    const templates = this.templatesJSON?.['templates'] || {};
+    const oldKeyTemplate = this.#getTemplateKey(template);
+    const oldKeyNeighbour = this.#getTemplateKey(neighbour);
+    const newKeyTemplate = `${neighbour.sortID} ${template.authorID}`;
+    const newKeyNeighbour = `${template.sortID} ${neighbour.authorID}`;
+
+    // Kills itself if a third template already uses one of the new keys
+    for (const newKey of [newKeyTemplate, newKeyNeighbour]) {
+      if (templates[newKey] && newKey !== oldKeyTemplate && newKey !== oldKeyNeighbour) {
+        this.overlay.handleDisplayError(`Can not move template! Sort ID "${newKey}" is already in use.`);
+        return;
+      }
+    }
+
+    const templateValue = templates[oldKeyTemplate];
+    const neighbourValue = templates[oldKeyNeighbour];
+    delete templates[oldKeyTemplate];
+    delete templates[oldKeyNeighbour];
+
+    [template.sortID, neighbour.sortID] = [neighbour.sortID, template.sortID]; // Swaps the sort IDs
+
+    if (templateValue) {templates[newKeyTemplate] = templateValue;}
+    if (neighbourValue) {templates[newKeyNeighbour] = neighbourValue;}
+
+    await this.#storeTemplates();
+    this.#handleTemplatesChanged();
+  }
+
+  /** Deletes a template.
+   * The template is removed from the loaded templates and from storage.
+   * @param {Template} template - The template to delete
+   * @since 0.84.3
+   */
+  async deleteTemplate(template) {
+    this.templatesArray = this.templatesArray.filter(loadedTemplate => loadedTemplate !== template);
+    delete this.templatesJSON?.['templates']?.[this.#getTemplateKey(template)];
+
+    this.overlay.handleDisplayStatus(`Deleted template "${template.displayName}"!`);
+    await this.#storeTemplates();
+    this.#handleTemplatesChanged();
+  }
+
+  /** Sets whether ALL templates should be drawn to the canvas.
+   * @param {boolean} value - Should the templates be drawn?
+   * @since 0.84.3
+   */
+  setTemplatesShouldBeDrawn(value) {
+    this.templatesShouldBeDrawn = value;
+    this.#bumpRenderRevision();
   }
 
   /** Stores the JSON object of the loaded templates into TamperMonkey (GreaseMonkey) storage.
@@ -95,32 +497,108 @@ export default class TemplateManager {
     GM.setValue('bmTemplates', JSON.stringify(this.templatesJSON));
   }
   
-  /** Imports the JSON object, and appends it to any JSON object already loaded
+  /** Imports the JSON object, and appends it to any JSON object already loaded.
+   * Older schema versions are migrated to the current schema version before they are parsed.
    * @param {string} json - The JSON string to parse
+   * @param {'replace'|'keep'|'skip'} [conflictMode='replace'] - What to do when a "sortID authorID" key is already loaded
+   * @returns {Promise<{imported: number, skipped: number}|null>} How many templates were imported and skipped, or null if the JSON is empty
+   * @throws {Error} If the JSON is newer than the supported schema version, or is malformed
+   */
+  async importJSON(json, conflictMode = 'replace') {
+
+    if (!json || Object.keys(json).length == 0) {return null;} // Kills itself if there is nothing to import
+
+    if (json['whoami'] !== 'BlueMarble') {
+      throw new Error('This is not a Blue Marble template file!');
+    }
+
+    const jsonMigrated = migrateTemplatesJSON(json); // Upgrades the JSON to the current schema version
+    const errors = validateTemplatesJSON(jsonMigrated);
+
+    if (errors.length > 0) {
+      const errorsShown = errors.slice(0, 5).join('\n'); // Only the first few problems are shown, so the status box is not flooded
+      throw new Error(`The template file is malformed!\n${errorsShown}${errors.length > 5 ? `\n...and ${errors.length - 5} more` : ''}`);
+    }
+
+    return await this.#parseBlueMarble(jsonMigrated, conflictMode);
+  }
+
+  /** Imports a template bundle (for example, from an exported file), then stores the result.
+   * @param {Object} json - The parsed template bundle
+   * @param {'replace'|'keep'|'skip'} [conflictMode='replace'] - What to do when a "sortID authorID" key is already loaded
+   * @since 0.84.4
    */
-  importJSON(json) {
-    if (json && json['whoami'] === 'BlueMarble') {
-      this.#parseBlueMarble(json);
+  async importTemplates(json, conflictMode = 'replace') {
+    const result = await this.importJSON(json, conflictMode);
+
+    if (!result) {
+      this.overlay.handleDisplayError('This file has no templates!');
+      return;
+    }
+
+    this.overlay.handleDisplayStatus(`Imported ${result.imported} template${result.imported == 1 ? '' : 's'}!${result.skipped ? ` Skipped ${result.skipped}.` : ''}`);
+    await this.#storeTemplates();
+  }
+
+  /** Creates a template bundle that can be saved to a file, and imported later.
+   * @param {Array<Template>} [templates=this.templatesArray] - The templates to export
+   * @returns {Promise<{ whoami: string, scriptVersion: string, schemaVersion: string, templates: Object }>} The template bundle
+   * @since 0.84.4
+   */
+  async exportJSON(templates = this.templatesArray) {
+    const json = await this.createJSON();
+
+    for (const template of templates) {
+      const templateKey = this.#getTemplateKey(template);
+      const templateValue = this.templatesJSON?.['templates']?.[templateKey];
+      if (templateValue) {json['templates'][templateKey] = templateValue;}
     }
+
+    return json;
   }
 
   /** Parses the Blue Marble JSON object
    * @param {string} json - The JSON string to parse
+   * @param {'replace'|'keep'|'skip'} [conflictMode='replace'] - What to do when a "sortID authorID" key is already loaded
+   * @returns {Promise<{imported: number, skipped: number}>} How many templates were imported and skipped
    * @since 0.72.13
    */
-  async #parseBlueMarble(json) {
-    const templates = json['templates'];
+  async #parseBlueMarble(json, conflictMode = 'replace') {
+
+    if (!this.templatesJSON) {
+      this.templatesJSON = await this.createJSON();
+    }
+
+    let imported = 0; // Number of templates imported
+    let skipped = 0; // Number of templates skipped because of a conflict
+
+    const templates = json['templates'] || {};
     if (Object.keys(templates).length > 0) {
       for (const templateKey in templates) {
         if (templates.hasOwnProperty(templateKey)) {
           const templateValue = templates[templateKey];
           const templateKeyArray = templateKey.split(' ');
-          const sortID = Number(templateKeyArray[0]);
+          let sortID = Number(templateKeyArray[0]);
           const authorID = templateKeyArray[1] || '0';
+
+          // Resolves the conflict if a template with the same key is already loaded
+          const templateConflicting = this.templatesArray.find(template => this.#getTemplateKey(template) === `${sortID} ${authorID}`);
+          if (templateConflicting) {
+            if (conflictMode == 'skip') {
+              skipped++;
+              continue;
+            } else if (conflictMode == 'keep') {
+              sortID = this.#getNextSortID(); // Keeps both by giving the imported template a new sort ID
+            } else {
+              this.templatesArray = this.templatesArray.filter(template => template !== templateConflicting); // Replaces the loaded template
+            }
+          }
+          const enabled = templateValue['enabled'] ?? true; // Templates saved before the "enabled" flag existed are enabled
           const displayName = templateValue['name'] || `Template ${sortID || ''}`;
-          const tilesbase64 = templateValue['tiles'];
+          const tilesbase64 = templateValue['file'] ? {} : templateValue['tiles']; // Only templates saved without their source image need their stored tiles
           const templateTiles = {};
 
+          // Decodes the stored tiles of templates saved before the source image was stored
           for (const tile in tilesbase64) {
             if (tilesbase64.hasOwnProperty(tile)) {
               const encodedTemplateBase64 = tilesbase64[tile];
@@ -130,16 +608,83 @@ export default class TemplateManager {
             }
           }
 
+          // Parses the "tx, ty, px, py" string back into an array of numbers
+          const coords = templateValue['coords']?.split(',').map(Number);
+
+          // Rebuilds the source image, if it was stored
+          const file = templateValue['file'] ? new Blob([base64ToUint8(templateValue['file'])], { type: templateValue['fileType'] || 'image/png' }) : null;
+
+          // Templates saved before the dimensions were stored have their dimensions rebuilt from their chunks
+          const dimensions = (templateValue['width'] && templateValue['height']) ? [templateValue['width'], templateValue['height']] : this.#calculateChunkedDimensions(templateTiles);
+
           const template = new Template({
             displayName: displayName,
-            sortID: sortID || this.templatesArray.length || 0,
+            sortID: Number.isFinite(sortID) ? sortID : this.#getNextSortID(),
             authorID: authorID || '',
+            url: templateValue['url'] || '',
+            file: file,
+            coords: (coords?.length === 4 && coords.every(Number.isFinite)) ? coords : null,
+            chunked: templateTiles,
+            tileSize: this.tileSize,
+            pixelCount: templateValue['pixels'] ?? (dimensions[0] * dimensions[1]),
+            erasePixelCount: templateValue['erasePixels'] ?? 0,
+            width: dimensions[0],
+            height: dimensions[1],
+            colorCounts: templateValue['colors'] ?? {},
+            enabled: enabled,
+            renderMode: templateValue['renderMode'] ?? 'dots',
+            renderOpacity: templateValue['renderOpacity'] ?? 0.5,
           });
-          template.chunked = templateTiles;
+
+          // Creates the tiles again from the source image. This also counts the pixels again
+          if (file && template.coords) {
+            await template.createTemplateTiles(progress => {
+              this.overlay.handleDisplayStatus(`Loading template "${displayName}"... ${Math.round(progress * 100)}%`);
+            });
+            templateValue['pixels'] = template.pixelCount;
+            templateValue['erasePixels'] = template.erasePixelCount;
+            templateValue['colors'] = template.colorCounts;
+            templateValue['width'] = template.width;
+            templateValue['height'] = template.height;
+          } else if (!file) {
+            // Counts the pixels again from the stored chunks, since older versions stored the width × height as the pixel count
+            template.countChunkedPixels();
+            templateValue['pixels'] = template.pixelCount;
+            templateValue['erasePixels'] = template.erasePixelCount;
+            templateValue['colors'] = template.colorCounts;
+          }
           this.templatesArray.push(template);
+
+          // Keeps the stored JSON in sync, so the next save does not drop this template
+          this.templatesJSON['templates'][this.#getTemplateKey(template)] = templateValue;
+          imported++;
         }
       }
     }
+
+    this.#handleTemplatesChanged();
+    return { imported, skipped };
+  }
+
+  /** Calculates the width and height of a template from its chunks.
+   * Every chunk bitmap is enlarged by {@link drawMult}, so it is shrunk back down before measuring.
+   * @param {Object.<string, ImageBitmap>} chunked - The template chunks keyed by "0000,0000,000,000"
+   * @returns {Array<number, number>} The width and height of the template, in pixels
+   * @since 0.84.2
+   */
+  #calculateChunkedDimensions(chunked) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const [chunkKey, chunkBitmap] of Object.entries(chunked)) {
+      const [globalX, globalY] = tilePixelToGlobal(...parseChunkKey(chunkKey)); // Absolute position of the chunk
+
+      minX = Math.min(minX, globalX);
+      minY = Math.min(minY, globalY);
+      maxX = Math.max(maxX, globalX + chunkBitmap.width / this.drawMult);
+      maxY = Math.max(maxY, globalY + chunkBitmap.height / this.drawMult);
+    }
+
+    return (minX === Infinity) ? [0, 0] : [maxX - minX, maxY - minY];
   }
 
   /**
@@ -149,9 +694,99 @@ export default class TemplateManager {
    */
   setAnalyzeTransparentPixels(value) {
     this.analyzeTransparentPixels = value;
+    this.#bumpRenderRevision(); // Grief-Clean targets are highlighted
     this.overlay.handleDisplayStatus(`Grief-Clean mode ${value ? 'enabled' : 'disabled'}.`);
   }
 
+  /** Sets whether wrong, missing and Grief-Clean pixels should be highlighted on the canvas.
+   * @param {boolean} value - True to highlight the pixels, false otherwise
+   * @since 0.84.12
+   */
+  setHighlightErrors(value) {
+    this.highlightErrors = value;
+    this.#bumpRenderRevision();
+    this.overlay.handleDisplayStatus(`Error highlighting ${value ? 'enabled' : 'disabled'}. Move the map to redraw the templates.`);
+  }
+
+  /** Sets whether the template should be hidden where the canvas is already correct.
+   * @param {boolean} value - True to hide correct pixels, false otherwise
+   * @since 0.84.12
+   */
+  setHideCorrectPixels(value) {
+    this.hideCorrectPixels = value;
+    this.#bumpRenderRevision();
+    this.overlay.handleDisplayStatus(`Hiding correct pixels ${value ? 'enabled' : 'disabled'}. Move the map to redraw the templates.`);
+  }
+
+  /** Sets whether template colors the user does not own should be replaced with the closest owned color.
+   * This affects both conversion and analysis.
+   * @param {boolean} value - True to only use owned colors, false otherwise
+   * @since 0.84.10
+   */
+  setOwnedColorsOnly(value) {
+    this.ownedColorsOnly = value;
+    this.#bumpRenderRevision(); // Which pixels are wrong can change
+    this.overlay.handleDisplayStatus(`Owned colors only ${value ? 'enabled' : 'disabled'}.`);
+  }
+
+  /** Marks the tiles drawn with the old owned colors as outdated.
+   * Call this whenever the colors the user owns change.
+   * @since 0.84.10
+   */
+  handleOwnedColorsChanged() {
+    if (!this.ownedColorsOnly) {return;} // Kills itself if the owned colors do not change how tiles are drawn
+
+    this.#bumpRenderRevision();
+    this.overlay.handleDisplayStatus(`Your owned colors changed. Move the map to redraw the templates.`);
+  }
+
+  /** Changes the colors that mark template pixels as erase, don't-care or protect markers.
+   * Every template with a source image is prepared again, since its markers and pixel counts can change.
+   * Templates without a source image keep the markers they were prepared with.
+   * @param {Object.<string, Array<number>>} colors - The RGB color of each marker kind to change. See {@link markerColors}
+   * @since 0.84.18
+   */
+  async setMarkerColors(colors) {
+    setMarkerColors(colors);
+    GM.setValue('bmMarkerColors', JSON.stringify(markerColors));
+
+    for (const template of this.templatesArray) {
+      if (!template.file || !template.coords) {continue;} // Kills itself if the template can not be prepared again
+
+      await template.createTemplateTiles(progress => {
+        this.overlay.handleDisplayStatus(`Updating template "${template.displayName}"... ${Math.round(progress * 100)}%`);
+      });
+      this.templatesProgress.delete(template); // The pixels being counted changed
+
+      const templateValue = this.templatesJSON?.['templates']?.[this.#getTemplateKey(template)];
+      if (templateValue) {
+        templateValue['pixels'] = template.pixelCount;
+        templateValue['erasePixels'] = template.erasePixelCount;
+        templateValue['colors'] = template.colorCounts;
+      }
+    }
+
+    await this.#storeTemplates();
+    this.#handleTemplatesChanged();
+    this.overlay.handleDisplayStatus(`Marker colors updated! Move the map to redraw the templates.`);
+  }
+
+  /** Creates the settings the tile processor analyzes and draws tiles with.
+   * @returns {import('./tileProcessor.js').TileSettings} The current tile settings
+   * @since 0.84.14
+   */
+  #getTileSettings() {
+    return {
+      'tileSize': this.tileSize,
+      'drawMult': this.drawMult,
+      'analyzeTransparentPixels': this.analyzeTransparentPixels,
+      'ownedColorIDs': this.ownedColorsOnly ? getOwnedColorIDs() : null, // The palette colors the user owns, for "owned colors only"
+      'highlightErrors': this.highlightErrors,
+      'hideCorrectPixels': this.hideCorrectPixels,
+      'highlightColors': this.highlightColors
+    };
+  }
+
   /**
    * MODIFIED: Analyzes all currently visible tiles to build the pixel queue on-demand.
    * This function now completely overrides the existing pixel queue with a fresh analysis of visible tiles.
@@ -169,24 +804,17 @@ export default class TemplateManager {
         const tileBlob = new Blob([tileBuffer]);
 
         // Find all template parts that apply to the current tile.
-        const templatesToDraw = this.templatesArray
-            .flatMap(template =>
-                Object.keys(template.chunked)
-                .filter(key => key.startsWith(tileCoords.map(c => c.toString().padStart(4, '0')).join(',')))
-                .map(key => {
-                    const coords = key.split(',');
-                    return {
-                        'bitmap': template.chunked[key],
-                        'pixelCoords': [coords[2], coords[3]]
-                    };
-                })
-            );
+        const templatesToDraw = await this.#getEnabledChunksOnTile(tileCoords);
 
         // If there are templates on this tile, analyze it for pixels to paint.
-        if (templatesToDraw.length > 0) {
-            const foundPixels = await this.analyzeTile(tileBlob, templatesToDraw, tileCoords);
-            // Add all the found pixels for this tile to our new queue.
-            newPixelQueue.push(...foundPixels);
+        try {
+            if (templatesToDraw.length > 0) {
+                const foundPixels = await this.analyzeTile(tileBlob, templatesToDraw, tileCoords);
+                // Add all the found pixels for this tile to our new queue.
+                newPixelQueue.push(...foundPixels);
+            }
+        } finally {
+            templatesToDraw.forEach(template => Template.releaseChunk(template['bitmap'])); // The chunks can be freed once they are analyzed
         }
     }
 
@@ -202,151 +830,19 @@ export default class TemplateManager {
 
   /**
    * Analyzes a single tile and returns an array of pixels that need to be painted.
+   * The analysis runs in the tile worker.
    * @param {Blob} tileBlob - The original tile image blob from the game server.
    * @param {Array<Object>} templatesToDraw - An array of template objects to be drawn on this tile.
    * @param {Array<number>} tileCoords - The coordinates of the tile being analyzed, as [x, y].
-   * @returns {Promise<Array<Object>>} A promise that resolves to an array of pixel data objects for the queue.
+   * @returns {Promise<Array<Object>>} A promise that resolves to an array of pixel data objects for the queue. The `state` of each pixel is "grief", "erase", "missing" or "wrong".
    * @since MODIFIED
    */
   async analyzeTile(tileBlob, templatesToDraw, tileCoords) {
     if (templatesToDraw.length === 0) return [];
 
-    const drawSize = this.tileSize * this.drawMult;
-    
-    let minX = this.tileSize, minY = this.tileSize, maxX = 0, maxY = 0;
-
-    for (const template of templatesToDraw) {
-      const startX = Number(template['pixelCoords'][0]);
-      const startY = Number(template['pixelCoords'][1]);
-      const templateWidth = template['bitmap'].width / this.drawMult;
-      const templateHeight = template['bitmap'].height / this.drawMult;
-
-      minX = Math.min(minX, startX);
-      minY = Math.min(minY, startY);
-      maxX = Math.max(maxX, startX + templateWidth);
-      maxY = Math.max(maxY, startY + templateHeight);
-    }
-
-    const gameCanvas = new OffscreenCanvas(drawSize, drawSize);
-    const gameCtx = gameCanvas.getContext('2d');
-    const gameBitmap = await createImageBitmap(tileBlob);
-    gameCtx.drawImage(gameBitmap, 0, 0, drawSize, drawSize);
-    const gameImageData = gameCtx.getImageData(0, 0, drawSize, drawSize).data;
-
-    const templateCanvas = new OffscreenCanvas(drawSize, drawSize);
-    const templateCtx = templateCanvas.getContext('2d');
-    for (const template of templatesToDraw) {
-      templateCtx.drawImage(template['bitmap'], Number(template['pixelCoords'][0]) * this.drawMult, Number(template['pixelCoords'][1]) * this.drawMult);
-    }
-    const templateImageData = templateCtx.getImageData(0, 0, drawSize, drawSize).data;
-    
-    const newPixelsForQueue = [];
-    
-    const centerX = minX + (maxX - minX) / 2;
-    const centerY = minY + (maxY - minY) / 2;
-    const maxDist = Math.sqrt(Math.pow(maxX - centerX, 2) + Math.pow(maxY - centerY, 2));
-
-    for (let y = minY; y < maxY; y++) {
-      for (let x = minX; x < maxX; x++) {
-        const index = ((y * this.drawMult + 1) * drawSize + (x * this.drawMult + 1)) * 4;
-
-        const templateR = templateImageData[index], templateG = templateImageData[index + 1], templateB = templateImageData[index + 2], templateAlpha = templateImageData[index + 3];
-        const gameR = gameImageData[index], gameG = gameImageData[index + 1], gameB = gameImageData[index + 2], gameAlpha = gameImageData[index + 3];
-
-        let pixelData = null;
-
-        // Tier 1: Grief-Clean. Template is transparent, canvas has color.
-        if (this.analyzeTransparentPixels && templateAlpha < 128 && gameAlpha > 0) {
-            pixelData = {
-                'tileCoords': tileCoords,
-                'pixelCoords': [x, y],
-                'colorId': 0, // Paint "transparent" to erase
-                'priority': 2000000 // Highest priority
-            };
-        } 
-        // Tier 2 & 3: Standard Paint. Template has a color.
-        else if (templateAlpha > 128) {
-            const isTransparent = gameAlpha < 128;
-            
-            // --- OPTIMIZATION: Use a cache and a fast RGB check for converting template colors ---
-            const templateColorKey = (templateAlpha << 24) | (templateB << 16) | (templateG << 8) | templateR;
-            let targetColorId;
-
-            if (this.templateColorCache.has(templateColorKey)) {
-                targetColorId = this.templateColorCache.get(templateColorKey);
-            } else {
-                targetColorId = findClosestColor({ r: templateR, g: templateG, b: templateB });
-                this.templateColorCache.set(templateColorKey, targetColorId);
-            }
-            
-            let isWrongColor = false;
-
-            if (!isTransparent) {
-                // --- OPTIMIZATION: Use the fast RGB check for canvas colors as well ---
-                const currentColorId = findClosestColor({ r: gameR, g: gameG, b: gameB });
-                if (currentColorId !== targetColorId) {
-                    isWrongColor = true;
-                }
-            }
-
-            if (isTransparent || isWrongColor) {
-                const colorId = targetColorId;
-                
-                const distFromCenter = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
-                const normalizedDist = maxDist > 0 ? distFromCenter / maxDist : 0;
-                const centerBonus = (1 - normalizedDist) * 500000;
-
-                pixelData = {
-                    'tileCoords': tileCoords,
-                    'pixelCoords': [x, y],
-                    'colorId': colorId,
-                    'priority': 0
-                };
-
-                // Tier 2: Placing a pixel on a transparent spot.
-                if (isTransparent) {
-                    pixelData.priority = 1000000 + centerBonus;
-                } 
-                // Tier 3: Correcting an existing, but wrong, color.
-                else {
-                    // Perceptual difference is still used for *prioritization*
-                    const colorDiff = calculateColorDifference({ r: gameR, g: gameG, b: gameB }, { r: templateR, g: templateG, b: templateB });
-                    pixelData.priority = colorDiff + centerBonus;
-                }
-            }
-        }
-
-        if (pixelData) {
-            const toColorName = colorpalette[pixelData.colorId]?.name || 'Unknown';
-            let logMessage = '';
-
-            // Case 1: Grief-Clean
-            if (pixelData.colorId === 0) {
-                const fromColorId = findClosestColor({ r: gameR, g: gameG, b: gameB });
-                const fromColorName = colorpalette[fromColorId]?.name || `RGB(${gameR},${gameG},${gameB})`;
-                // logMessage = `Queueing [Grief-Clean] at [${x}, ${y}] on tile [${tileCoords.join(',')}]. Removing '${fromColorName}' (Priority: ${pixelData.priority.toFixed(0)}).`;
-            }
-            // Case 2 & 3: Standard Paint
-            else {
-                const isTransparent = gameAlpha < 128;
-                if (isTransparent) { // Painting on empty spot
-                    // logMessage = `Queueing [New Pixel] at [${x}, ${y}] on tile [${tileCoords.join(',')}]. Painting '${toColorName}' over transparent (Priority: ${pixelData.priority.toFixed(0)}).`;
-                } else { // Correcting wrong color
-                    const fromColorId = findClosestColor({ r: gameR, g: gameG, b: gameB });
-                    const fromColorName = colorpalette[fromColorId]?.name || `RGB(${gameR},${gameG},${gameB})`;
-                    // logMessage = `Queueing [Correction] at [${x}, ${y}] on tile [${tileCoords.join(',')}]. Changing '${fromColorName}' to '${toColorName}' (Priority: ${pixelData.priority.toFixed(0)}).`;
-                }
-            }
-            
-            if (logMessage) {
-                console.log(`%cBlue Marble%c: ${logMessage}`, 'color: cornflowerblue;', '');
-            }
-            newPixelsForQueue.push(pixelData);
-        }
-      }
-    }
-    
-    return newPixelsForQueue;
+    const layers = templatesToDraw.map(template => ({ 'bitmap': template['bitmap'], 'pixelCoords': template['pixelCoords'] }));
+    const pixels = await this.tileWorker.run('analyzeTile', tileBlob, layers, tileCoords, this.#getTileSettings());
+    return pixels.filter(pixel => pixel['state'] != 'protect'); // Protected pixels are only highlighted, since they have no color to paint
   }
 
   /**
@@ -368,6 +864,99 @@ export default class TemplateManager {
     }
   }
 
+  /** Compares every enabled template on a tile with the pixels on the canvas, and stores the progress of each template for that tile.
+   * This is read-only. The pixel queue is not modified.
+   * @param {Blob} tileBlob - The original tile image blob from the game server
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @since 0.84.7
+   */
+  async updateTemplatesProgress(tileBlob, tileCoords) {
+
+    const templatesOnTile = this.getTemplatesOnTile(tileCoords)
+      .filter(entry => entry['template'].enabled) // Disabled templates are not analyzed
+      .sort((entryA, entryB) => this.#compareLayerOrder(entryA['template'], entryB['template'])); // Where templates overlap, only the top template counts the pixel
+
+    if (templatesOnTile.length === 0) {return;} // Kills itself if no enabled template covers this tile
+
+    // The chunks of every template on this tile, in layer order (bottom template first)
+    const templates = [];
+    for (const entry of templatesOnTile) {
+      const layers = [];
+      for (const chunk of entry['chunks']) {
+        const bitmap = await entry['template'].getChunk(chunk['chunkKey']); // Creates the chunk if it was not created yet
+        if (bitmap) {layers.push({ 'bitmap': bitmap, 'pixelCoords': chunk['pixelCoords'] });}
+      }
+      templates.push(layers);
+    }
+
+    let templatesProgress = null;
+    try {
+      templatesProgress = await this.tileWorker.run('measureTemplatesProgress', tileBlob, templates, this.#getTileSettings());
+    } finally {
+      templates.flat().forEach(layer => Template.releaseChunk(layer['bitmap']));
+    }
+
+    for (const [index, { 'template': template }] of templatesOnTile.entries()) {
+      if (!this.templatesProgress.has(template)) {
+        this.templatesProgress.set(template, new Map());
+      }
+      this.templatesProgress.get(template).set(tileCoords.join(','), templatesProgress[index]);
+
+      this.progressChangedCallback?.(template);
+    }
+  }
+
+  /** Retrieves the progress of a template on every tile seen so far.
+   * @param {Template} template - The template
+   * @returns {Map<string, {correct: number, wrong: number, missing: number}>} The progress of the template on each tile, keyed by "x,y"
+   * @since 0.84.19
+   */
+  getTemplateTilesProgress(template) {
+    return this.templatesProgress.get(template) ?? new Map();
+  }
+
+  /** Creates the progress report of a template from every tile seen so far.
+   * Pixels on tiles that have not been seen yet are "unknown". They are neither done nor missing.
+   * Erase markers are not paintable pixels, so they are reported on their own ("erase"). An erase marker is correct when the canvas is transparent there.
+   * Pixels covered by a higher template are "covered". That template decides them, so they are neither done nor missing either.
+   * @param {Template} template - The template
+   * @returns {{correct: number, wrong: number, missing: number, covered: number, unknown: number, total: number, percent: number|null, colors: Object.<number, {correct: number, wrong: number, missing: number, covered: number, unknown: number, total: number}>, erase: {correct: number, wrong: number, covered: number, unknown: number, total: number}}} The progress report. `percent` is the completion percentage of the seen pixels, or null if no pixels have been seen
+   * @since 0.84.7
+   */
+  getTemplateProgress(template) {
+
+    const progress = { 'correct': 0, 'wrong': 0, 'missing': 0, 'covered': 0, 'unknown': 0, 'total': template.pixelCount, 'percent': null, 'colors': {}, 'erase': { 'correct': 0, 'wrong': 0, 'covered': 0, 'unknown': 0, 'total': template.erasePixelCount ?? 0 } };
+
+    for (const [colorID, total] of Object.entries(template.colorCounts ?? {})) {
+      progress['colors'][colorID] = { 'correct': 0, 'wrong': 0, 'missing': 0, 'covered': 0, 'unknown': 0, 'total': total };
+    }
+
+    // Adds up the progress of every tile seen
+    for (const tileProgress of this.templatesProgress.get(template)?.values() ?? []) {
+      for (const state of ['correct', 'wrong', 'missing', 'covered']) {
+        progress[state] += tileProgress[state] ?? 0;
+        for (const [colorID, colorProgress] of Object.entries(tileProgress['colors'])) {
+          progress['colors'][colorID] ??= { 'correct': 0, 'wrong': 0, 'missing': 0, 'covered': 0, 'unknown': 0, 'total': 0 };
+          progress['colors'][colorID][state] += colorProgress[state] ?? 0;
+        }
+      }
+      for (const state of ['correct', 'wrong', 'covered']) {
+        progress['erase'][state] += tileProgress['erase']?.[state] ?? 0;
+      }
+    }
+
+    // Everything that was not seen is unknown
+    const seen = progress['correct'] + progress['wrong'] + progress['missing'];
+    progress['unknown'] = Math.max(0, progress['total'] - seen - progress['covered']);
+    progress['percent'] = seen > 0 ? (progress['correct'] / seen) * 100 : null;
+    for (const colorProgress of Object.values(progress['colors'])) {
+      colorProgress['unknown'] = Math.max(0, colorProgress['total'] - colorProgress['correct'] - colorProgress['wrong'] - colorProgress['missing'] - colorProgress['covered']);
+    }
+    progress['erase']['unknown'] = Math.max(0, progress['erase']['total'] - progress['erase']['correct'] - progress['erase']['wrong'] - progress['erase']['covered']);
+
+    return progress;
+  }
+
   /**
    * Draws all templates on the specified tile.
    * This is now a lightweight function that only handles rendering, not analysis.
@@ -379,51 +968,100 @@ export default class TemplateManager {
   async drawTemplateOnTile(tileBlob, tileCoords) {
     // Cache the latest version of the tile for on-demand analysis
     const tileKey = tileCoords.join(',');
-    this.tileCache.set(tileKey, await tileBlob.arrayBuffer());
+    const tileBuffer = await tileBlob.arrayBuffer();
+    this.tileCache.set(tileKey, tileBuffer);
+
+    // Returns the cached render right away if neither the tile nor the templates changed since it was drawn
+    const renderRevision = this.renderRevision;
+    const renderKey = `${tileKey} ${await hashArrayBuffer(tileBuffer)} ${renderRevision}`;
+    const renderCached = this.renderCache.get(renderKey);
+    if (renderCached) {return renderCached;}
+
+    const renderedBlob = await this.#renderTile(tileBlob, tileCoords);
+
+    // Only caches the render if nothing changed while it was drawn
+    if (renderRevision === this.renderRevision) {
+      this.renderCache.set(renderKey, renderedBlob);
+    }
+
+    // Updates the progress of every template on this tile in the background, so the tile is not held back by it
+    this.updateTemplatesProgress(tileBlob, tileCoords).catch(error => {
+      consoleError(`Could not update the progress of tile ${tileKey}!`, error);
+    });
+
+    return renderedBlob;
+  }
 
-    if (!this.templatesShouldBeDrawn) {
+  /** Draws the enabled templates, and the template being placed, on a tile.
+   * @param {Blob} tileBlob - The pixels that are placed on a tile
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {Promise<Blob>} The tile with the templates drawn on it, or the original tile if there is nothing to draw
+   * @since 0.84.7
+   */
+  async #renderTile(tileBlob, tileCoords) {
+
+    const preview = this.placementPreview;
+    const ghost = this.#getPlacementGhost(tileCoords); // The template being placed, which is drawn even when templates are disabled
+
+    if (!ghost) {return await this.#renderLayers(tileBlob, tileCoords, null);}
+
+    // Keeps the image of the template being placed until the tile is drawn, even if the placement ends before then
+    preview['drawing']++;
+    try {
+      return await this.#renderLayers(tileBlob, tileCoords, ghost);
+    } finally {
+      preview['drawing']--;
+      this.#freePlacementBitmap(preview);
+    }
+  }
+
+  /** Draws the enabled templates, and the template being placed, on a tile.
+   * @param {Blob} tileBlob - The pixels that are placed on a tile
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @param {import('./tileProcessor.js').TileGhost|null} ghost - The template being placed, if it is on the tile
+   * @returns {Promise<Blob>} The tile with the templates drawn on it, or the original tile if there is nothing to draw
+   * @since 0.84.23
+   */
+  async #renderLayers(tileBlob, tileCoords, ghost) {
+
+    if (!this.templatesShouldBeDrawn && !ghost) {
         return tileBlob;
     }
     
-    const formattedTileCoords = tileCoords[0].toString().padStart(4, '0') + ',' + tileCoords[1].toString().padStart(4, '0');
-    const templatesToDraw = this.templatesArray
-      .flatMap(template => 
-        Object.keys(template.chunked)
-          .filter(tileKey => tileKey.startsWith(formattedTileCoords))
-          .map(tileKey => {
-            const coords = tileKey.split(',');
-            return {
-              'bitmap': template.chunked[tileKey],
-              'pixelCoords': [coords[2], coords[3]]
-            };
-          })
-      )
-      .sort((a, b) => (a.sortID || 0) - (b.sortID || 0));
-
-    if (templatesToDraw.length === 0) {
+    const templatesToDraw = this.templatesShouldBeDrawn ? await this.#getEnabledChunksOnTile(tileCoords) : []; // Already in layer order
+
+    if (templatesToDraw.length === 0 && !ghost) {
       return tileBlob;
     }
 
     // Update UI without intensive calculations
-    const totalPixelsInView = this.templatesArray
-      .filter(template => Object.keys(template.chunked).some(tile => tile.startsWith(formattedTileCoords)))
-      .reduce((sum, template) => sum + (template.pixelCount || 0), 0);
-    const pixelCountFormatted = new Intl.NumberFormat().format(totalPixelsInView);
-    this.overlay.handleDisplayStatus(
-      `Displaying ${templatesToDraw.length} template${templatesToDraw.length === 1 ? '' : 's'}.\nTotal pixels: ${pixelCountFormatted}`
-    );
-
-    const drawSize = this.tileSize * this.drawMult;
-    const tileBitmap = await createImageBitmap(tileBlob);
-    const canvas = new OffscreenCanvas(drawSize, drawSize);
-    const context = canvas.getContext('2d');
-    context.imageSmoothingEnabled = false;
-    context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
-
-    for (const template of templatesToDraw) {
-      context.drawImage(template['bitmap'], Number(template['pixelCoords'][0]) * this.drawMult, Number(template['pixelCoords'][1]) * this.drawMult);
+    if (templatesToDraw.length > 0) {
+      const totalPixelsInView = this.getTemplatesOnTile(tileCoords)
+        .filter(entry => entry['template'].enabled)
+        .reduce((sum, entry) => sum + (entry['pixelCount'] ?? entry['template'].pixelCount ?? 0), 0); // Templates with uncounted chunks count all their pixels
+      const pixelCountFormatted = new Intl.NumberFormat().format(totalPixelsInView);
+      this.overlay.handleDisplayStatus(
+        `Displaying ${templatesToDraw.length} template${templatesToDraw.length === 1 ? '' : 's'}.\nPixels on this tile: ${pixelCountFormatted}`
+      );
+    }
+
+    // The chunks, drawn in the render mode of their template
+    const layers = [];
+    try {
+      for (const template of templatesToDraw) {
+        layers.push({
+          'bitmap': template['bitmap'],
+          'renderBitmap': await template['template'].getRenderedChunk(template['chunkKey']),
+          'opacity': (template['template'].renderMode == 'translucent') ? template['template'].renderOpacity : 1,
+          'pixelCoords': template['pixelCoords']
+        });
+      }
+
+      return await this.tileWorker.run('drawTile', tileBlob, layers, tileCoords, this.#getTileSettings(), ghost); // Draws the tile in the tile worker
+    } finally {
+      // The chunks can be freed once they are drawn
+      templatesToDraw.forEach(template => Template.releaseChunk(template['bitmap']));
+      layers.forEach(layer => Template.releaseChunk(layer['renderBitmap']));
     }
-    
-    return await canvas.convertToBlob({ type: 'image/png' });
   }
-}
\ No newline at end of file
+}
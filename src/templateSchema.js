@@ -0,0 +1,230 @@
+/** @file The JSON schema of stored and exported templates.
+ * Handles validation of template JSON objects, and migration of older template JSON objects to the current schema.
+ * @since 0.84.5
+ */
+
+import Template from './Template.js';
+import { parseChunkKey } from './coordinates.js';
+
+/** The version of the template JSON schema that this version of Blue Marble writes.
+ * Bump this (and add a migration step) whenever the shape of the template JSON changes.
+ * @since 0.84.5
+ */
+export const templatesSchemaVersion = '2.2.0';
+
+/** The steps that upgrade a template JSON object from one schema version to the next.
+ * Each step receives a copy of the JSON object, and returns the upgraded JSON object.
+ * The steps are run in order, starting at the step whose `from` matches the JSON object.
+ * @type {Array<{from: string, to: string, migrate: function(Object):Object}>}
+ * @since 0.84.5
+ */
+const templatesSchemaMigrations = [
+  {
+    // 1.0.0 -> 1.1.0: Adds the "enabled" flag, and makes room for the pixel count, dimensions and source image
+    'from': '1.0.0',
+    'to': '1.1.0',
+    'migrate': (json) => {
+      for (const templateValue of Object.values(json['templates'] ?? {})) {
+        templateValue['enabled'] ??= true; // Templates saved before the "enabled" flag existed are enabled
+      }
+      return json;
+    }
+  },
+  {
+    // 1.1.0 -> 1.2.0: Adds the pixel count of each palette color ("colors"). It is counted again from the source image when loaded
+    'from': '1.1.0',
+    'to': '1.2.0',
+    'migrate': (json) => json
+  },
+  {
+    // 1.2.0 -> 2.0.0: Tiles are no longer stored. They are created from the source image ("file") when loaded
+    // Templates saved without their source image keep their tiles, since the tiles are the only image they have
+    'from': '1.2.0',
+    'to': '2.0.0',
+    'migrate': (json) => {
+      for (const templateValue of Object.values(json['templates'] ?? {})) {
+        if (templateValue['file']) {delete templateValue['tiles'];}
+      }
+      return json;
+    }
+  },
+  {
+    // 2.0.0 -> 2.1.0: Adds how the template is drawn ("renderMode" and "renderOpacity"). Templates without them are drawn as dots
+    'from': '2.0.0',
+    'to': '2.1.0',
+    'migrate': (json) => json
+  },
+  {
+    // 2.1.0 -> 2.2.0: Erase markers are counted on their own ("erasePixels"), instead of in "pixels". Both are counted again from the source image when loaded
+    'from': '2.1.0',
+    'to': '2.2.0',
+    'migrate': (json) => json
+  }
+];
+
+/** Compares two "major.minor.patch" version strings.
+ * @param {string} versionA - The first version
+ * @param {string} versionB - The second version
+ * @returns {number} Negative if A is older than B, positive if A is newer than B, 0 if they are the same
+ * @since 0.84.5
+ * @example
+ * console.log(compareSchemaVersions('1.0.0', '1.1.0')); // -1
+ * console.log(compareSchemaVersions('2.0.0', '1.9.9')); // 1
+ */
+export function compareSchemaVersions(versionA, versionB) {
+  const partsA = versionA.split('.').map(Number);
+  const partsB = versionB.split('.').map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference) {return Math.sign(difference);}
+  }
+
+  return 0;
+}
+
+/** Upgrades a template JSON object to the current schema version.
+ * The passed in JSON object is not modified.
+ * JSON objects without a schema version are treated as version "1.0.0".
+ * @param {Object} json - The template JSON object
+ * @returns {Object} The template JSON object in the current schema version
+ * @throws {Error} If the JSON object is newer than this version of Blue Marble supports, or no migration exists for it
+ * @since 0.84.5
+ */
+export function migrateTemplatesJSON(json) {
+
+  let version = json['schemaVersion'] || '1.0.0'; // Version of the JSON object
+
+  if (!/^\d+\.\d+\.\d+$/.test(version)) {
+    throw new Error(`Unknown schema version "${version}"!`);
+  }
+
+  if (compareSchemaVersions(version, templatesSchemaVersion) > 0) {
+    throw new Error(`Schema version ${version} is newer than this version of Blue Marble supports (${templatesSchemaVersion}). Update Blue Marble to load these templates.`);
+  }
+
+  let jsonMigrated = structuredClone(json); // Copy of the JSON object so the original is untouched
+
+  // Runs every migration step, starting at the version of the JSON object
+  while (version !== templatesSchemaVersion) {
+    const migration = templatesSchemaMigrations.find(migration => migration['from'] === version);
+
+    if (!migration) {
+      throw new Error(`Can not upgrade schema version ${version} to ${templatesSchemaVersion}!`);
+    }
+
+    jsonMigrated = migration['migrate'](jsonMigrated);
+    version = migration['to'];
+  }
+
+  jsonMigrated['schemaVersion'] = version;
+  return jsonMigrated;
+}
+
+/** Validates a template JSON object against the current schema.
+ * Run {@link migrateTemplatesJSON} first, since older schemas will not pass validation.
+ * @param {Object} json - The template JSON object
+ * @returns {Array<string>} A description of every problem found. Empty if the JSON object is valid
+ * @since 0.84.5
+ * @example
+ * console.log(validateTemplatesJSON({'whoami': 'BlueMarble', 'templates': {'0 a': {'coords': '1, 2'}}}));
+ * // ['Template "0 a": "coords" must be 4 whole numbers like "tx, ty, px, py"', 'Template "0 a": has no image ("file" or "tiles")']
+ */
+export function validateTemplatesJSON(json) {
+
+  const errors = []; // Every problem found
+
+  if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+    return ['The file is not a JSON object'];
+  }
+
+  if (json['whoami'] !== 'BlueMarble') {
+    errors.push(`"whoami" must be "BlueMarble", but it is "${json['whoami']}"`);
+  }
+
+  const templates = json['templates'];
+
+  if (typeof templates !== 'object' || templates === null || Array.isArray(templates)) {
+    errors.push('"templates" must be an object');
+    return errors;
+  }
+
+  for (const [templateKey, templateValue] of Object.entries(templates)) {
+
+    const prefix = `Template "${templateKey}": `; // Which template the problem belongs to
+
+    if (!/^\d+ \S+$/.test(templateKey)) {
+      errors.push(`${prefix}the key must look like "sortID authorID"`);
+    }
+
+    if (typeof templateValue !== 'object' || templateValue === null || Array.isArray(templateValue)) {
+      errors.push(`${prefix}must be an object`);
+      continue;
+    }
+
+    if (templateValue['name'] !== undefined && typeof templateValue['name'] !== 'string') {
+      errors.push(`${prefix}"name" must be a string`);
+    }
+
+    const coords = String(templateValue['coords'] ?? '').split(',').map(coord => coord.trim());
+    if (coords.length !== 4 || !coords.every(coord => /^\d+$/.test(coord))) {
+      errors.push(`${prefix}"coords" must be 4 whole numbers like "tx, ty, px, py"`);
+    }
+
+    if (templateValue['enabled'] !== undefined && typeof templateValue['enabled'] !== 'boolean') {
+      errors.push(`${prefix}"enabled" must be true or false`);
+    }
+
+    if (templateValue['renderMode'] !== undefined && !Template.renderModes.includes(templateValue['renderMode'])) {
+      errors.push(`${prefix}"renderMode" must be one of ${Template.renderModes.map(renderMode => `"${renderMode}"`).join(', ')}`);
+    }
+
+    const renderOpacity = templateValue['renderOpacity'];
+    if (renderOpacity !== undefined && !(typeof renderOpacity === 'number' && renderOpacity >= 0 && renderOpacity <= 1)) {
+      errors.push(`${prefix}"renderOpacity" must be a number from 0 to 1`);
+    }
+
+    for (const property of ['pixels', 'erasePixels', 'width', 'height']) {
+      if (templateValue[property] !== undefined && !(Number.isInteger(templateValue[property]) && templateValue[property] >= 0)) {
+        errors.push(`${prefix}"${property}" must be a whole number`);
+      }
+    }
+
+    const colors = templateValue['colors'];
+    if (colors !== undefined) {
+      if (typeof colors !== 'object' || colors === null || Array.isArray(colors)) {
+        errors.push(`${prefix}"colors" must be an object`);
+      } else if (!Object.entries(colors).every(([colorID, count]) => /^\d+$/.test(colorID) && Number.isInteger(count) && count >= 0)) {
+        errors.push(`${prefix}"colors" must map palette color IDs to whole numbers`);
+      }
+    }
+
+    for (const property of ['url', 'file', 'fileType']) {
+      if (templateValue[property] !== undefined && typeof templateValue[property] !== 'string') {
+        errors.push(`${prefix}"${property}" must be a string`);
+      }
+    }
+
+    const tiles = templateValue['tiles'];
+    if (tiles !== undefined) {
+      if (typeof tiles !== 'object' || tiles === null || Array.isArray(tiles)) {
+        errors.push(`${prefix}"tiles" must be an object`);
+      } else {
+        for (const [tileKey, tileValue] of Object.entries(tiles)) {
+          if (!parseChunkKey(tileKey)) {
+            errors.push(`${prefix}tile "${tileKey}" must look like "0000,0000,000,000"`);
+          }
+          if (typeof tileValue !== 'string') {
+            errors.push(`${prefix}tile "${tileKey}" must be a base64 string`);
+          }
+        }
+      }
+    }
+
+    if (!templateValue['file'] && !(tiles && Object.keys(tiles).length)) {
+      errors.push(`${prefix}has no image ("file" or "tiles")`);
+    }
+  }
+
+  return errors;
+}
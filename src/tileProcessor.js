@@ -0,0 +1,657 @@
+/** @file Analyzes tiles, and draws templates on tiles.
+ * These functions are run by the tile worker, so the page stays responsive. See {@link TileWorker}.
+ * Every argument and return value can be sent to and from a worker (structured clone).
+ * @since 0.84.14
+ */
+
+import { findClosestColor, calculateColorDifference, colorpalette, markerAlphas, getMarkerKind } from './utils.js';
+
+/** Cache for mapping template colors to the game palette to reduce calculations.
+ * @type {Map<number, number>}
+ * @since 0.84.14
+ */
+const templateColorCache = new Map();
+
+/** The canvas color of every protected pixel when it was first analyzed, per tile.
+ * Protect markers have no target color, so a protected pixel is flagged when it differs from this.
+ * The palette color ID of each pixel of the tile is stored, or -1 if the pixel was never protected.
+ * Only tiles with protect markers have a baseline, and only the most recently used tiles are kept (see {@link maxProtectBaselines}).
+ *
+ * The baselines are only kept in memory, for as long as the page is open.
+ * A protected pixel that changed before its tile was first analyzed in this session (e.g. while the page was closed), or while its baseline was evicted, is not flagged.
+ * @type {Map<string, Int8Array>}
+ * @since 0.84.18
+ */
+const protectBaselines = new Map();
+
+/** The most tiles a protect baseline is kept for. Each baseline takes up 1 byte per pixel of the tile.
+ * @type {number}
+ * @since 0.84.18
+ */
+const maxProtectBaselines = 32;
+
+/** Retrieves the protect baseline of a tile, creating it if there is none.
+ * The baseline is marked as the most recently used, and the least recently used baselines are evicted.
+ * @param {string} tileKey - The "x,y" key of the tile
+ * @param {number} tileSize - The number of pixels in a tile
+ * @returns {Int8Array} The baseline of the tile. See {@link protectBaselines}
+ * @since 0.84.18
+ */
+function getProtectBaseline(tileKey, tileSize) {
+  const protectBaseline = protectBaselines.get(tileKey) ?? new Int8Array(tileSize * tileSize).fill(-1);
+
+  // Moves the baseline to the end, since it was just used
+  protectBaselines.delete(tileKey);
+  protectBaselines.set(tileKey, protectBaseline);
+
+  // Evicts the least recently used baselines
+  for (const oldTileKey of protectBaselines.keys()) {
+    if (protectBaselines.size <= maxProtectBaselines) {break;}
+    protectBaselines.delete(oldTileKey);
+  }
+
+  return protectBaseline;
+}
+
+/** The settings that change how tiles are analyzed and drawn.
+ * @typedef {Object} TileSettings
+ * @property {number} tileSize - The number of pixels in a tile. Assumes the tile is square
+ * @property {number} drawMult - The enlarged size for each pixel. MUST BE ODD
+ * @property {boolean} analyzeTransparentPixels - Should transparent pixels be targeted for analysis?
+ * @property {Array<number>|null} ownedColorIDs - When set, template colors not in this list are replaced with the closest color that is
+ * @property {boolean} highlightErrors - Should wrong, missing, erase, protect and Grief-Clean pixels be highlighted?
+ * @property {boolean} hideCorrectPixels - Should the template be hidden where the canvas is already correct?
+ * @property {Object.<string, string>} highlightColors - The frame color of each highlighted pixel state
+ * @since 0.84.14
+ */
+
+/** A chunk of a template that is on a tile.
+ * @typedef {Object} TileLayer
+ * @property {ImageBitmap} bitmap - The chunk used for analysis (the middle pixel of every enlarged pixel is the template color)
+ * @property {ImageBitmap} [renderBitmap] - The chunk drawn in the render mode of the template. Defaults to `bitmap`
+ * @property {number} [opacity=1] - The opacity to draw the chunk with
+ * @property {Array<number>} pixelCoords - The position of the chunk on the tile, as [x, y]
+ * @since 0.84.14
+ */
+
+/** A template being placed, drawn as a ghost on a tile.
+ * @typedef {Object} TileGhost
+ * @property {ImageBitmap} bitmap - The source image of the template, at 1 pixel per canvas pixel
+ * @property {Array<number>} pixelCoords - The position of the template on the tile, as [x, y]. Can be outside of the tile when the template starts on another tile
+ * @since 0.84.23
+ */
+
+/** Finds the palette color ID of a template color, using the cache.
+ * @param {number} red - The red channel
+ * @param {number} green - The green channel
+ * @param {number} blue - The blue channel
+ * @returns {number} The palette color ID
+ * @since 0.84.14
+ */
+function getTemplateColorID(red, green, blue) {
+  const templateColorKey = (blue << 16) | (green << 8) | red;
+  let colorID = templateColorCache.get(templateColorKey);
+
+  if (colorID === undefined) {
+    colorID = findClosestColor({ r: red, g: green, b: blue });
+    templateColorCache.set(templateColorKey, colorID);
+  }
+
+  return colorID;
+}
+
+/** Finds which marker the middle pixel of an enlarged template pixel is tagged as.
+ * Chunks tag markers with a black middle pixel of a certain alpha. See {@link markerAlphas}
+ * @param {number} red - The red channel
+ * @param {number} green - The green channel
+ * @param {number} blue - The blue channel
+ * @param {number} alpha - The alpha channel
+ * @returns {'erase'|'dontCare'|'protect'|null} The kind of marker, or null if the pixel is not a marker
+ * @since 0.84.18
+ */
+function getMarkerTagKind(red, green, blue, alpha) {
+  if (red || green || blue) {return null;} // Tags are always black
+
+  for (const kind in markerAlphas) {
+    if (markerAlphas[kind] === alpha) {return kind;}
+  }
+  return null;
+}
+
+/** Reads the RGBA pixels of a bitmap.
+ * @param {ImageBitmap} bitmap - The bitmap to read
+ * @param {number} [width=bitmap.width] - The width to draw the bitmap at
+ * @param {number} [height=bitmap.height] - The height to draw the bitmap at
+ * @returns {Uint8ClampedArray} The RGBA pixels
+ * @since 0.84.18
+ */
+function readBitmapPixels(bitmap, width = bitmap.width, height = bitmap.height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height).data;
+}
+
+/** Reads the template pixel of every tile pixel, which is the middle pixel of each enlarged pixel of the chunks.
+ * Where chunks overlap, the layer drawn last (the top layer) decides. Transparent pixels do not cover the layers below, but markers do.
+ * @param {Array<TileLayer>} layers - The template chunks on the tile, in the order to draw them (bottom layer first)
+ * @param {TileSettings} settings - The settings to analyze the tile with
+ * @returns {Uint8ClampedArray} The RGBA template pixels, at 1 pixel per canvas pixel
+ * @since 0.84.18
+ */
+function readTemplatePixels(layers, settings) {
+
+  const tileSize = settings['tileSize'];
+  const drawMult = settings['drawMult'];
+  const templatePixels = new Uint8ClampedArray(tileSize * tileSize * 4);
+
+  for (const layer of layers) {
+
+    const chunkBitmap = layer['bitmap'];
+    const [chunkX, chunkY] = layer['pixelCoords'].map(Number); // Position of the chunk on the tile
+    const chunkImageData = readBitmapPixels(chunkBitmap);
+
+    for (let y = 0; y < chunkBitmap.height / drawMult; y++) {
+      for (let x = 0; x < chunkBitmap.width / drawMult; x++) {
+
+        const chunkIndex = ((y * drawMult + 1) * chunkBitmap.width + (x * drawMult + 1)) * 4;
+        if (chunkImageData[chunkIndex + 3] === 0) {continue;} // Transparent pixels show the layers below
+
+        const tileIndex = ((chunkY + y) * tileSize + (chunkX + x)) * 4;
+        templatePixels.set(chunkImageData.subarray(chunkIndex, chunkIndex + 4), tileIndex);
+      }
+    }
+  }
+
+  return templatePixels;
+}
+
+/** Finds which template is on top at every pixel of a tile.
+ * Top layers cover the layers below the same way {@link readTemplatePixels} does, so progress agrees with the analysis.
+ * @param {Array<Array<TileLayer>>} templates - The chunks of every template on the tile, in layer order (bottom template first)
+ * @param {TileSettings} settings - The settings to analyze the tile with
+ * @returns {Int16Array} The index in `templates` of the template on top at every pixel, or -1 where there is no template
+ * @since 0.84.17
+ */
+function readTopTemplateIndices(templates, settings) {
+
+  const tileSize = settings['tileSize'];
+  const drawMult = settings['drawMult'];
+  const topTemplateIndices = new Int16Array(tileSize * tileSize).fill(-1);
+
+  for (const [templateIndex, layers] of templates.entries()) {
+    for (const layer of layers) {
+
+      const chunkBitmap = layer['bitmap'];
+      const [chunkX, chunkY] = layer['pixelCoords'].map(Number); // Position of the chunk on the tile
+      const chunkImageData = readBitmapPixels(chunkBitmap);
+
+      for (let y = 0; y < chunkBitmap.height / drawMult; y++) {
+        for (let x = 0; x < chunkBitmap.width / drawMult; x++) {
+
+          const chunkIndex = ((y * drawMult + 1) * chunkBitmap.width + (x * drawMult + 1)) * 4;
+          if (chunkImageData[chunkIndex + 3] === 0) {continue;} // Transparent pixels show the layers below
+
+          topTemplateIndices[(chunkY + y) * tileSize + (chunkX + x)] = templateIndex;
+        }
+      }
+    }
+  }
+
+  return topTemplateIndices;
+}
+
+/** Replaces a palette color the user does not own with the closest palette color the user does own.
+ * @param {number} colorID - The palette color ID
+ * @param {Array<number>|null} ownedColorIDs - The palette color IDs the user owns. Nothing is replaced when this is null or empty
+ * @returns {number} The palette color ID to paint
+ * @since 0.84.10
+ */
+export function remapToOwnedColor(colorID, ownedColorIDs) {
+  if (!ownedColorIDs?.length || ownedColorIDs.includes(colorID)) {return colorID;}
+
+  const [red, green, blue] = colorpalette[colorID]['rgb'];
+  let distanceMin = Infinity;
+  let colorIDClosest = colorID;
+
+  for (const ownedColorID of ownedColorIDs) {
+    const [ownedRed, ownedGreen, ownedBlue] = colorpalette[ownedColorID]['rgb'];
+    const distance = calculateColorDifference({ r: red, g: green, b: blue }, { r: ownedRed, g: ownedGreen, b: ownedBlue });
+    if (distance < distanceMin) {
+      distanceMin = distance;
+      colorIDClosest = ownedColorID;
+    }
+  }
+
+  return colorIDClosest;
+}
+
+/**
+ * Analyzes a single tile and returns an array of pixels that need to be painted.
+ * Where templates overlap, the layer drawn last (the top layer) decides the color.
+ * Erase markers are painted transparent, don't-care markers are skipped, and protect markers are flagged when the canvas changed since they were first analyzed.
+ * @param {Blob} tileBlob - The original tile image blob from the game server.
+ * @param {Array<TileLayer>} layers - The template chunks on this tile, in the order to draw them (bottom layer first).
+ * @param {Array<number>} tileCoords - The coordinates of the tile being analyzed, as [x, y].
+ * @param {TileSettings} settings - The settings to analyze the tile with.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of pixel data objects for the queue. The `state` of each pixel is "grief", "erase", "missing", "wrong" or "protect". Protect pixels have no `colorId`, so they can not be queued.
+ * @since 0.84.14
+ */
+export async function analyzeTile(tileBlob, layers, tileCoords, settings) {
+  if (layers.length === 0) return [];
+
+  const tileSize = settings['tileSize'];
+  const drawMult = settings['drawMult'];
+
+  let minX = tileSize, minY = tileSize, maxX = 0, maxY = 0;
+
+  for (const layer of layers) {
+    const startX = Number(layer['pixelCoords'][0]);
+    const startY = Number(layer['pixelCoords'][1]);
+    const templateWidth = layer['bitmap'].width / drawMult;
+    const templateHeight = layer['bitmap'].height / drawMult;
+
+    minX = Math.min(minX, startX);
+    minY = Math.min(minY, startY);
+    maxX = Math.max(maxX, startX + templateWidth);
+    maxY = Math.max(maxY, startY + templateHeight);
+  }
+
+  const gameImageData = readBitmapPixels(await createImageBitmap(tileBlob), tileSize, tileSize);
+  const templateImageData = readTemplatePixels(layers, settings);
+
+  let protectBaseline = null; // Only retrieved once a protected pixel is found, so tiles without protect markers have no baseline
+
+  const newPixelsForQueue = [];
+  const ownedColorCache = new Map(); // Caches the owned color replacement of every palette color
+
+  const centerX = minX + (maxX - minX) / 2;
+  const centerY = minY + (maxY - minY) / 2;
+  const maxDist = Math.sqrt(Math.pow(maxX - centerX, 2) + Math.pow(maxY - centerY, 2));
+
+  for (let y = minY; y < maxY; y++) {
+    for (let x = minX; x < maxX; x++) {
+      const index = (y * tileSize + x) * 4;
+
+      const templateR = templateImageData[index], templateG = templateImageData[index + 1], templateB = templateImageData[index + 2], templateAlpha = templateImageData[index + 3];
+      const gameR = gameImageData[index], gameG = gameImageData[index + 1], gameB = gameImageData[index + 2], gameAlpha = gameImageData[index + 3];
+
+      const markerKind = getMarkerTagKind(templateR, templateG, templateB, templateAlpha);
+
+      let pixelData = null;
+
+      // Don't-care markers are never analyzed
+      if (markerKind == 'dontCare') {
+          continue;
+      }
+      // Protect markers have no target color. They are flagged when the canvas changed since they were first seen
+      else if (markerKind == 'protect') {
+          const currentColorId = gameAlpha >= 128 ? findClosestColor({ r: gameR, g: gameG, b: gameB }) : 0;
+          protectBaseline ??= getProtectBaseline(tileCoords.join(','), tileSize);
+
+          if (protectBaseline[index / 4] === -1) {
+              protectBaseline[index / 4] = currentColorId; // Starts watching the pixel
+          } else if (protectBaseline[index / 4] !== currentColorId) {
+              pixelData = {
+                  'tileCoords': tileCoords,
+                  'pixelCoords': [x, y],
+                  'colorId': null, // Nothing to paint
+                  'priority': 0,
+                  'state': 'protect'
+              };
+          }
+      }
+      // Tier 1: Erase. Template is an erase marker, canvas has color.
+      else if (markerKind == 'erase') {
+          if (gameAlpha > 0) {
+              pixelData = {
+                  'tileCoords': tileCoords,
+                  'pixelCoords': [x, y],
+                  'colorId': 0, // Paint "transparent" to erase
+                  'priority': 2000000, // Highest priority
+                  'state': 'erase'
+              };
+          }
+      }
+      // Tier 1: Grief-Clean. Template is transparent, canvas has color.
+      else if (settings['analyzeTransparentPixels'] && templateAlpha < 128 && gameAlpha > 0) {
+          pixelData = {
+              'tileCoords': tileCoords,
+              'pixelCoords': [x, y],
+              'colorId': 0, // Paint "transparent" to erase
+              'priority': 2000000, // Highest priority
+              'state': 'grief'
+          };
+      }
+      // Tier 2 & 3: Standard Paint. Template has a color.
+      else if (templateAlpha > 128) {
+          const isTransparent = gameAlpha < 128;
+
+          let targetColorId = getTemplateColorID(templateR, templateG, templateB);
+
+          // Replaces colors the user does not own, if enabled
+          if (!ownedColorCache.has(targetColorId)) {
+              ownedColorCache.set(targetColorId, remapToOwnedColor(targetColorId, settings['ownedColorIDs']));
+          }
+          targetColorId = ownedColorCache.get(targetColorId);
+
+          let isWrongColor = false;
+
+          if (!isTransparent) {
+              // --- OPTIMIZATION: Use the fast RGB check for canvas colors as well ---
+              const currentColorId = findClosestColor({ r: gameR, g: gameG, b: gameB });
+              if (currentColorId !== targetColorId) {
+                  isWrongColor = true;
+              }
+          }
+
+          if (isTransparent || isWrongColor) {
+              const colorId = targetColorId;
+
+              const distFromCenter = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
+              const normalizedDist = maxDist > 0 ? distFromCenter / maxDist : 0;
+              const centerBonus = (1 - normalizedDist) * 500000;
+
+              pixelData = {
+                  'tileCoords': tileCoords,
+                  'pixelCoords': [x, y],
+                  'colorId': colorId,
+                  'priority': 0,
+                  'state': isTransparent ? 'missing' : 'wrong'
+              };
+
+              // Tier 2: Placing a pixel on a transparent spot.
+              if (isTransparent) {
+                  pixelData['priority'] = 1000000 + centerBonus;
+              }
+              // Tier 3: Correcting an existing, but wrong, color.
+              else {
+                  // Perceptual difference is still used for *prioritization*
+                  const colorDiff = calculateColorDifference({ r: gameR, g: gameG, b: gameB }, { r: templateR, g: templateG, b: templateB });
+                  pixelData['priority'] = colorDiff + centerBonus;
+              }
+          }
+      }
+
+      if (pixelData) {
+          newPixelsForQueue.push(pixelData);
+      }
+    }
+  }
+
+  return newPixelsForQueue;
+}
+
+/** Compares templates on a tile with the pixels on the canvas.
+ * This only counts pixels. Nothing is drawn or queued.
+ * Erase markers are not paintable pixels, so they are counted on their own ("erase"). They are correct when the canvas is transparent. Don't-care and protect markers have no target color, so they are not counted.
+ * Colors the user does not own are replaced the same way {@link analyzeTile} replaces them, so progress and analysis agree.
+ * Where templates overlap, each pixel is only measured for the template on top, the same way {@link analyzeTile} only analyzes the top template. The templates below count it as "covered".
+ * @param {Blob} tileBlob - The original tile image blob from the game server
+ * @param {Array<Array<TileLayer>>} templates - The chunks of every template on this tile, in layer order (bottom template first)
+ * @param {TileSettings} settings - The settings to analyze the tile with
+ * @returns {Promise<Array<{correct: number, wrong: number, missing: number, covered: number, colors: Object.<number, {correct: number, wrong: number, missing: number, covered: number}>, erase: {correct: number, wrong: number, covered: number}}>>} The progress of every template on this tile, in the same order as `templates`
+ * @since 0.84.14
+ */
+export async function measureTemplatesProgress(tileBlob, templates, settings) {
+
+  const tileSize = settings['tileSize'];
+  const drawMult = settings['drawMult'];
+
+  const tileImageData = readBitmapPixels(await createImageBitmap(tileBlob), tileSize, tileSize); // The canvas pixels of the tile, at 1 pixel per canvas pixel
+
+  const topTemplateIndices = readTopTemplateIndices(templates, settings); // Pixels covered by a higher template are counted for that template only
+
+  const templatesProgress = [];
+  const ownedColorCache = new Map(); // Caches the owned color replacement of every palette color
+
+  for (const [templateIndex, layers] of templates.entries()) {
+
+    const tileProgress = { 'correct': 0, 'wrong': 0, 'missing': 0, 'covered': 0, 'colors': {}, 'erase': { 'correct': 0, 'wrong': 0, 'covered': 0 } }; // Progress of this template on this tile
+
+    for (const layer of layers) {
+
+      const chunkBitmap = layer['bitmap'];
+      const [chunkX, chunkY] = layer['pixelCoords'].map(Number); // Position of the chunk on the tile
+      const chunkImageData = readBitmapPixels(chunkBitmap);
+
+      // For every template pixel, which is the center pixel of each enlarged pixel...
+      for (let y = 0; y < chunkBitmap.height / drawMult; y++) {
+        for (let x = 0; x < chunkBitmap.width / drawMult; x++) {
+
+          const chunkIndex = ((y * drawMult + 1) * chunkBitmap.width + (x * drawMult + 1)) * 4;
+          const markerKind = getMarkerTagKind(chunkImageData[chunkIndex], chunkImageData[chunkIndex + 1], chunkImageData[chunkIndex + 2], chunkImageData[chunkIndex + 3]);
+          const tileIndex = ((chunkY + y) * tileSize + (chunkX + x)) * 4;
+          const isCovered = topTemplateIndices[(chunkY + y) * tileSize + (chunkX + x)] !== templateIndex; // A higher template decides this pixel
+
+          // Erase markers are correct where the canvas is transparent
+          if (markerKind == 'erase') {
+            tileProgress['erase'][isCovered ? 'covered' : (tileImageData[tileIndex + 3] >= 128) ? 'wrong' : 'correct']++;
+            continue;
+          }
+
+          if (markerKind || chunkImageData[chunkIndex + 3] <= 128) {continue;} // Skips pixels without a target color
+
+          const targetColorId = getTemplateColorID(chunkImageData[chunkIndex], chunkImageData[chunkIndex + 1], chunkImageData[chunkIndex + 2]);
+
+          // Replaces colors the user does not own, if enabled, the same way analyzeTile does. The pixel is still counted under its template color
+          if (!ownedColorCache.has(targetColorId)) {
+            ownedColorCache.set(targetColorId, remapToOwnedColor(targetColorId, settings['ownedColorIDs']));
+          }
+          const paintColorId = ownedColorCache.get(targetColorId);
+
+          let state = isCovered ? 'covered' : 'missing';
+          if (!isCovered && tileImageData[tileIndex + 3] >= 128) {
+            const currentColorId = findClosestColor({ r: tileImageData[tileIndex], g: tileImageData[tileIndex + 1], b: tileImageData[tileIndex + 2] });
+            state = (currentColorId === paintColorId) ? 'correct' : 'wrong';
+          }
+
+          tileProgress[state]++;
+          tileProgress['colors'][targetColorId] ??= { 'correct': 0, 'wrong': 0, 'missing': 0, 'covered': 0 };
+          tileProgress['colors'][targetColorId][state]++;
+        }
+      }
+    }
+
+    templatesProgress.push(tileProgress);
+  }
+
+  return templatesProgress;
+}
+
+/** Finds the pixels where overlapping templates ask for different colors.
+ * Chunks of the same template never overlap, so every overlap is between different templates.
+ * Erase markers ask for transparent (ID 0). Don't-care and protect markers do not ask for a color.
+ * @param {Array<TileLayer>} layers - The template chunks on this tile
+ * @param {TileSettings} settings - The settings to analyze the tile with
+ * @returns {Array<Object>} The conflicting pixels. The `state` of each pixel is "conflict"
+ * @since 0.84.17
+ */
+export function findLayerConflicts(layers, settings) {
+
+  const tileSize = settings['tileSize'];
+  const drawMult = settings['drawMult'];
+  const conflicts = [];
+
+  // Kills itself if no two chunks overlap
+  const isOverlapping = layers.some((layer, index) => layers.slice(index + 1).some(otherLayer => {
+    const [x, y] = layer['pixelCoords'].map(Number);
+    const [otherX, otherY] = otherLayer['pixelCoords'].map(Number);
+    return x < otherX + otherLayer['bitmap'].width / drawMult && otherX < x + layer['bitmap'].width / drawMult
+      && y < otherY + otherLayer['bitmap'].height / drawMult && otherY < y + layer['bitmap'].height / drawMult;
+  }));
+  if (!isOverlapping) {return conflicts;}
+
+  const requestedColors = new Int16Array(tileSize * tileSize).fill(-1); // The palette color ID requested for each pixel of the tile, or -1 if none
+  const isConflict = new Uint8Array(tileSize * tileSize); // Is each pixel of the tile already a conflict?
+
+  for (const layer of layers) {
+
+    const chunkBitmap = layer['bitmap'];
+    const [chunkX, chunkY] = layer['pixelCoords'].map(Number); // Position of the chunk on the tile
+    const chunkImageData = readBitmapPixels(chunkBitmap);
+
+    // For every template pixel, which is the center pixel of each enlarged pixel...
+    for (let y = 0; y < chunkBitmap.height / drawMult; y++) {
+      for (let x = 0; x < chunkBitmap.width / drawMult; x++) {
+
+        const chunkIndex = ((y * drawMult + 1) * chunkBitmap.width + (x * drawMult + 1)) * 4;
+        const markerKind = getMarkerTagKind(chunkImageData[chunkIndex], chunkImageData[chunkIndex + 1], chunkImageData[chunkIndex + 2], chunkImageData[chunkIndex + 3]);
+        if (markerKind != 'erase' && chunkImageData[chunkIndex + 3] <= 128) {continue;} // Skips pixels that do not ask for a color
+
+        const colorID = markerKind ? 0 : getTemplateColorID(chunkImageData[chunkIndex], chunkImageData[chunkIndex + 1], chunkImageData[chunkIndex + 2]);
+        const tileIndex = (chunkY + y) * tileSize + (chunkX + x);
+
+        if (requestedColors[tileIndex] === -1) {
+          requestedColors[tileIndex] = colorID;
+        } else if (requestedColors[tileIndex] !== colorID && !isConflict[tileIndex]) {
+          isConflict[tileIndex] = 1;
+          conflicts.push({ 'pixelCoords': [chunkX + x, chunkY + y], 'state': 'conflict' });
+        }
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/** Creates a chunk of a template from the part of the source image in the chunk.
+ * Every pixel is enlarged by the draw multiplier, and only the middle pixel is drawn.
+ * Erase markers become a gray checkerboard, protect markers become a blue checkerboard, and don't-care markers are not drawn.
+ * The middle pixel of a marker is tagged with the alpha of its kind (see {@link markerAlphas}), so the kinds can be told apart when analyzing.
+ * @param {ImageBitmap} bitmap - The part of the source image in the chunk
+ * @param {number} drawMult - The enlarged size for each pixel. MUST BE ODD
+ * @param {Object.<string, Array<number>>} markerColors - The RGB color of each marker kind
+ * @returns {Promise<ImageBitmap>} The chunk
+ * @since 0.84.16
+ */
+export async function createChunk(bitmap, drawMult, markerColors) {
+
+  // Change the canvas size and wipe the canvas
+  const canvasWidth = bitmap.width * drawMult;
+  const canvasHeight = bitmap.height * drawMult;
+  const canvas = new OffscreenCanvas(canvasWidth, canvasHeight);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+
+  context.imageSmoothingEnabled = false; // Nearest neighbor
+  context.drawImage(bitmap, 0, 0, canvasWidth, canvasHeight);
+
+  const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight); // Data of the image on the canvas
+
+  for (let y = 0; y < canvasHeight; y++) {
+    for (let x = 0; x < canvasWidth; x++) {
+      // For every pixel...
+      const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
+      const isMiddle = (x % drawMult === 1) && (y % drawMult === 1); // Is this the middle pixel of an enlarged pixel?
+      const markerKind = (imageData.data[pixelIndex + 3] > 128) ? getMarkerKind(imageData.data[pixelIndex], imageData.data[pixelIndex + 1], imageData.data[pixelIndex + 2], markerColors) : null;
+
+      if (markerKind && isMiddle) { // Tags the middle pixel with the kind of marker
+        imageData.data.set([0, 0, 0, markerAlphas[markerKind]], pixelIndex);
+      } else if (markerKind == 'erase' && (x + y) % 2 === 0) { // Formula for checkerboard pattern
+        imageData.data.set([0, 0, 0, 32], pixelIndex); // Translucent black
+      } else if (markerKind == 'protect' && (x + y) % 2 === 1) { // The opposite squares, so the tag is not covered
+        imageData.data.set([0, 0, 255, 64], pixelIndex); // Translucent blue
+      } else if (markerKind || !isMiddle || imageData.data[pixelIndex + 3] <= 128) { // Otherwise only draw the middle pixel, if it is opaque enough to paint
+        imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
+      }
+    }
+  }
+
+  context.putImageData(imageData, 0, 0);
+
+  return await createImageBitmap(canvas); // Creates the bitmap
+}
+
+/** Draws templates on a tile.
+ * Wrong, missing, erase, protect and Grief-Clean pixels are highlighted, and correct pixels are hidden, if enabled in the settings.
+ * Pixels where overlapping templates ask for different colors are always highlighted.
+ * The template being placed, if any, is drawn on top of everything as a translucent ghost with an outline.
+ * @param {Blob} tileBlob - The original tile image blob from the game server
+ * @param {Array<TileLayer>} layers - The template chunks on this tile, in the order to draw them (bottom layer first)
+ * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+ * @param {TileSettings} settings - The settings to draw the tile with
+ * @param {TileGhost|null} [ghost=null] - The template being placed, if it is on this tile
+ * @returns {Promise<Blob>} The tile with the templates drawn on it, enlarged by the draw multiplier
+ * @since 0.84.14
+ */
+export async function drawTile(tileBlob, layers, tileCoords, settings, ghost = null) {
+
+  const drawMult = settings['drawMult'];
+  const drawSize = settings['tileSize'] * drawMult;
+  const tileBitmap = await createImageBitmap(tileBlob);
+  const canvas = new OffscreenCanvas(drawSize, drawSize);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = false;
+  context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
+
+  // Compares the templates with the canvas, but only if the comparison is shown
+  const errorPixels = (settings['highlightErrors'] || settings['hideCorrectPixels']) ? await analyzeTile(tileBlob, layers, tileCoords, settings) : [];
+
+  // When correct pixels are hidden, the templates are drawn on their own layer first, so they can be cut out
+  const templateCanvas = settings['hideCorrectPixels'] ? new OffscreenCanvas(drawSize, drawSize) : canvas;
+  const templateContext = templateCanvas.getContext('2d');
+  templateContext.imageSmoothingEnabled = false;
+
+  for (const layer of layers) {
+    templateContext.globalAlpha = layer['opacity'] ?? 1;
+    templateContext.drawImage(layer['renderBitmap'] ?? layer['bitmap'], Number(layer['pixelCoords'][0]) * drawMult, Number(layer['pixelCoords'][1]) * drawMult);
+  }
+  templateContext.globalAlpha = 1;
+
+  if (settings['hideCorrectPixels']) {
+
+    // Keeps the templates only where the canvas is not correct
+    const maskCanvas = new OffscreenCanvas(drawSize, drawSize);
+    const maskContext = maskCanvas.getContext('2d');
+    for (const pixel of errorPixels) {
+      maskContext.fillRect(pixel['pixelCoords'][0] * drawMult, pixel['pixelCoords'][1] * drawMult, drawMult, drawMult);
+    }
+    templateContext.globalCompositeOperation = 'destination-in';
+    templateContext.drawImage(maskCanvas, 0, 0);
+
+    context.drawImage(templateCanvas, 0, 0);
+  }
+
+  if (settings['highlightErrors']) {
+    drawErrorHighlights(context, errorPixels, drawMult, settings['highlightColors']);
+  }
+
+  drawErrorHighlights(context, findLayerConflicts(layers, settings), drawMult, settings['highlightColors']); // Flags overlapping templates that disagree
+
+  if (ghost) {
+    const x = ghost['pixelCoords'][0] * drawMult;
+    const y = ghost['pixelCoords'][1] * drawMult;
+    const width = ghost['bitmap'].width * drawMult;
+    const height = ghost['bitmap'].height * drawMult;
+
+    context.globalAlpha = 0.6;
+    context.drawImage(ghost['bitmap'], x, y, width, height);
+    context.globalAlpha = 1;
+    context.strokeStyle = 'rgb(0, 255, 255)';
+    context.lineWidth = 1;
+    context.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1); // The edge of the template
+  }
+
+  return await canvas.convertToBlob({ type: 'image/png' });
+}
+
+/** Draws a frame around every pixel that is wrong, missing, to be erased, protected and changed, targeted by Grief-Clean, or in conflict.
+ * The frame fills the edge of the enlarged pixel, so the middle (template) pixel stays visible.
+ * @param {OffscreenCanvasRenderingContext2D} context - The context of the enlarged tile
+ * @param {Array<Object>} errorPixels - The pixels found by {@link analyzeTile}
+ * @param {number} size - The size of an enlarged pixel
+ * @param {Object.<string, string>} highlightColors - The frame color of each pixel state
+ * @since 0.84.12
+ */
+function drawErrorHighlights(context, errorPixels, size, highlightColors) {
+  for (const pixel of errorPixels) {
+    const x = pixel['pixelCoords'][0] * size;
+    const y = pixel['pixelCoords'][1] * size;
+
+    context.fillStyle = highlightColors[pixel['state']];
+    context.fillRect(x, y, size, 1); // Top
+    context.fillRect(x, y + size - 1, size, 1); // Bottom
+    context.fillRect(x, y + 1, 1, size - 2); // Left
+    context.fillRect(x + size - 1, y + 1, 1, size - 2); // Right
+  }
+}
@@ -0,0 +1,23 @@
+/** @file The script that runs inside the tile worker.
+ * It runs the functions of the tile processor when asked by {@link TileWorker}, and replies with the result.
+ * @since 0.84.14
+ */
+
+import { analyzeTile, measureTemplatesProgress, drawTile, createChunk } from './tileProcessor.js';
+
+/** The tasks the tile worker can run, by name.
+ * @since 0.84.14
+ */
+const tasks = { 'analyzeTile': analyzeTile, 'measureTemplatesProgress': measureTemplatesProgress, 'drawTile': drawTile, 'createChunk': createChunk };
+
+self.addEventListener('message', async (event) => {
+  const { 'id': id, 'task': task, 'args': args } = event.data;
+
+  try {
+    if (!tasks[task]) {throw new Error(`Unknown task "${task}"!`);}
+    const result = await tasks[task](...args);
+    self.postMessage({ 'id': id, 'result': result }, (result instanceof ImageBitmap) ? [result] : []); // Bitmaps are moved instead of copied
+  } catch (error) {
+    self.postMessage({ 'id': id, 'error': error?.message ?? String(error) });
+  }
+});
@@ -20,18 +20,6 @@ export function escapeHTML(text) {
   return div.innerHTML; // Returns the HTML property of the div
 }
 
-/** Converts the server tile-pixel coordinate system to the displayed tile-pixel coordinate system.
- * @param {string[]} tile - The tile to convert (as an array like ["12", "124"])
- * @param {string[]} pixel - The pixel to convert (as an array like ["12", "124"])
- * @returns {number[]} [tile, pixel]
- * @since 0.42.4
- * @example
- * console.log(serverTPtoDisplayTP(['12', '123'], ['34', '567'])); // [34, 3567]
- */
-export function serverTPtoDisplayTP(tile, pixel) {
-  return [((parseInt(tile[0]) % 4) * 1000) + parseInt(pixel[0]), ((parseInt(tile[1]) % 4) * 1000) + parseInt(pixel[1])];
-}
-
 /** Negative-Safe Modulo. You can pass negative numbers into this.
  * @param {number} a - The first number
  * @param {number} b - The second number
@@ -125,6 +113,114 @@ export function base64ToUint8(base64) {
   return array;
 }
 
+/** Makes the browser download a blob as a file.
+ * @param {Blob} blob - The content of the file
+ * @param {string} fileName - The name of the file, including the extension
+ * @since 0.84.4
+ * @example
+ * downloadBlob(new Blob(['Foobar.'], { type: 'text/plain' }), 'foo.txt'); // Downloads "foo.txt"
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob); // Temporary URL to the blob
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click(); // Starts the download
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0); // Frees the blob once the download has started
+}
+
+/** Hashes the bytes of an ArrayBuffer with SHA-1.
+ * This is used to tell if a tile changed, not for security.
+ * @param {ArrayBuffer} buffer - The bytes to hash
+ * @returns {Promise<string>} The hash, as hexadecimal
+ * @since 0.84.13
+ * @example
+ * console.log(await hashArrayBuffer(new TextEncoder().encode('abc').buffer)); // "a9993e364706816aba3e25717850c26c9cd0d89d"
+ */
+export async function hashArrayBuffer(buffer) {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', buffer));
+  return Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Retrieves the palette color IDs the user owns.
+ * This is read from the "me" response, which is stored in localStorage by the {@link ApiManager}.
+ * Transparent (ID 0) is never included.
+ * @returns {Array<number>|null} The owned palette color IDs, or null if they are not known yet (e.g. not logged in)
+ * @since 0.84.10
+ */
+export function getOwnedColorIDs() {
+  const availableColors = JSON.parse(localStorage.getItem('bm-available-colors') || 'null');
+
+  if (!availableColors) {return null;} // Kills itself if the owned colors are not known yet
+
+  return Object.entries(availableColors)
+    .filter(([colorID, isOwned]) => isOwned && Number(colorID) !== 0)
+    .map(([colorID]) => Number(colorID));
+}
+
+/** The RGB colors that mark template pixels as markers instead of colors to paint.
+ * - "erase" pixels must end up transparent
+ * - "dontCare" pixels are never analyzed or flagged
+ * - "protect" pixels are watched for changes, without a target color
+ * None of these are palette colors. Change them with {@link setMarkerColors}.
+ * @type {{erase: Array<number>, dontCare: Array<number>, protect: Array<number>}}
+ * @since 0.84.18
+ */
+export const markerColors = {
+  'erase': [222, 250, 206], // #deface
+  'dontCare': [192, 255, 238], // #c0ffee
+  'protect': [186, 218, 85] // #bada55
+};
+
+/** The alpha of the middle pixel of a marker in a template chunk.
+ * Chunks do not keep the marker colors, since they can be changed. Instead, the middle pixel is black with one of these alphas.
+ * Every other pixel with low alpha is made fully transparent, so these can not be confused with the template.
+ * @type {{erase: number, dontCare: number, protect: number}}
+ * @since 0.84.18
+ */
+export const markerAlphas = {
+  'erase': 32, // Matches the erase checkerboard
+  'dontCare': 1,
+  'protect': 2
+};
+
+/** Replaces the marker colors.
+ * Templates must be prepared again for the new colors to be found.
+ * @param {Object.<string, Array<number>>} colors - The RGB color of each marker kind to change. Unknown kinds are ignored
+ * @since 0.84.18
+ * @example
+ * setMarkerColors({'erase': [255, 0, 255]});
+ * console.log(getMarkerKind(255, 0, 255)); // "erase"
+ */
+export function setMarkerColors(colors) {
+  for (const kind of Object.keys(markerColors)) {
+    if (Array.isArray(colors?.[kind]) && colors[kind].length === 3) {
+      markerColors[kind] = colors[kind].map(Number);
+    }
+  }
+}
+
+/** Finds which marker a template color is.
+ * @param {number} red - The red channel
+ * @param {number} green - The green channel
+ * @param {number} blue - The blue channel
+ * @param {Object.<string, Array<number>>} [colors=markerColors] - The RGB color of each marker kind. Workers are passed the colors, since they do not share {@link markerColors}
+ * @returns {'erase'|'dontCare'|'protect'|null} The kind of marker, or null if the color is not a marker
+ * @since 0.84.18
+ * @example
+ * console.log(getMarkerKind(222, 250, 206)); // "erase"
+ * console.log(getMarkerKind(255, 255, 255)); // null
+ */
+export function getMarkerKind(red, green, blue, colors = markerColors) {
+  for (const kind in colors) {
+    const markerColor = colors[kind];
+    if (red === markerColor[0] && green === markerColor[1] && blue === markerColor[2]) {return kind;}
+  }
+  return null;
+}
+
 // --- Start of Color Conversion and CIEDE2000 Implementation ---
 
 // Optimization: Pre-calculate constants used in CIEDE2000
@@ -195,7 +291,7 @@ function xyzToLab(x, y, z) {
  * @param {number} b - Blue component (0-255).
  * @returns {{l: number, a: number, b: number}} The color in LAB space.
  */
-function rgbToLab(r, g, b) {
+export function rgbToLab(r, g, b) {
     const { x, y, z } = rgbToXyz(r, g, b);
     return xyzToLab(x, y, z);
 }
@@ -207,7 +303,7 @@ function rgbToLab(r, g, b) {
  * @param {{l: number, a: number, b: number}} lab2
  * @returns {number} The delta E (ΔE*) value.
  */
-function ciede2000(lab1, lab2) {
+export function ciede2000(lab1, lab2) {
     const { l: l1, a: a1, b: b1 } = lab1;
     const { l: l2, a: a2, b: b2 } = lab2;
 
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RenderCache from '../src/RenderCache.js';
+
+/** Creates a cache of {size} objects that records every value it frees. */
+function createCache(budget) {
+  const removed = [];
+  const cache = new RenderCache(budget, (value) => value['size'], (value) => removed.push(value['name']));
+  return { cache, removed };
+}
+
+/** Creates a value to cache. */
+function createValue(name, size) {
+  return { 'name': name, 'size': size };
+}
+
+describe('RenderCache', () => {
+  it('returns cached values', () => {
+    const { cache } = createCache(10);
+    const value = createValue('a', 1);
+    cache.set('a', value);
+    assert.equal(cache.get('a'), value);
+    assert.equal(cache.get('b'), undefined);
+  });
+
+  it('measures blobs by default', () => {
+    const cache = new RenderCache(10);
+    cache.set('a', new Blob(['1234']));
+    assert.equal(cache.size, 4);
+  });
+
+  it('evicts the least recently used values once it is over budget', () => {
+    const { cache, removed } = createCache(10);
+    cache.set('a', createValue('a', 4));
+    cache.set('b', createValue('b', 4));
+    cache.get('a'); // "b" is now the least recently used
+    cache.set('c', createValue('c', 4));
+
+    assert.deepEqual(removed, ['b']);
+    assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+    assert.equal(cache.size, 8);
+  });
+
+  it('evicts as many values as it takes to fit in the budget', () => {
+    const { cache, removed } = createCache(10);
+    cache.set('a', createValue('a', 3));
+    cache.set('b', createValue('b', 3));
+    cache.set('c', createValue('c', 3));
+    cache.set('d', createValue('d', 9));
+
+    assert.deepEqual(removed, ['a', 'b', 'c']);
+    assert.equal(cache.size, 9);
+  });
+
+  it('does not cache values larger than the budget', () => {
+    const { cache, removed } = createCache(10);
+    cache.set('a', createValue('a', 4));
+    cache.set('b', createValue('b', 11));
+
+    assert.equal(cache.get('b'), undefined);
+    assert.deepEqual(removed, []);
+    assert.equal(cache.size, 4);
+  });
+
+  it('frees a value when it is replaced, but not when it is set again', () => {
+    const { cache, removed } = createCache(10);
+    const value = createValue('a', 4);
+    cache.set('a', value);
+    cache.set('a', value);
+    assert.deepEqual(removed, []);
+
+    cache.set('a', createValue('a2', 4));
+    assert.deepEqual(removed, ['a']);
+    assert.equal(cache.size, 4);
+  });
+
+  it('frees values when they are deleted or cleared', () => {
+    const { cache, removed } = createCache(10);
+    cache.set('a', createValue('a', 4));
+    cache.set('b', createValue('b', 4));
+    cache.set('c', createValue('c', 1));
+
+    cache.delete('a');
+    assert.deepEqual(removed, ['a']);
+    assert.equal(cache.size, 5);
+
+    cache.clear();
+    assert.deepEqual(removed, ['a', 'b', 'c']);
+    assert.equal(cache.size, 0);
+    assert.equal(cache.get('b'), undefined);
+  });
+
+  it('does not free an acquired value until it is released', () => {
+    const { cache, removed } = createCache(10);
+    const value = createValue('a', 6);
+    cache.set('a', value);
+    assert.equal(cache.acquire('a'), value);
+
+    cache.set('b', createValue('b', 6)); // Evicts "a"
+    assert.deepEqual(removed, []);
+
+    cache.release(value);
+    assert.deepEqual(removed, ['a']);
+  });
+
+  it('does not free a value that is still cached when it is released', () => {
+    const { cache, removed } = createCache(10);
+    const value = createValue('a', 4);
+    cache.set('a', value);
+    cache.acquire('a');
+    cache.release(value);
+
+    assert.deepEqual(removed, []);
+    assert.equal(cache.get('a'), value);
+  });
+
+  it('waits for every user of a pinned value to release it', () => {
+    const { cache, removed } = createCache(10);
+    const value = createValue('a', 4);
+    cache.set('a', value);
+    cache.pin(value, 2);
+    cache.clear();
+
+    cache.release(value);
+    assert.deepEqual(removed, []);
+
+    cache.release(value);
+    assert.deepEqual(removed, ['a']);
+  });
+
+  it('ignores values that were never acquired', () => {
+    const { cache, removed } = createCache(10);
+    cache.release(createValue('a', 4));
+    cache.pin(createValue('b', 4), 0);
+
+    assert.deepEqual(removed, []);
+    assert.equal(cache.pins.size, 0);
+  });
+});
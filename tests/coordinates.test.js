@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tileSize, worldTiles, worldSize,
+  tilePixelToGlobal, globalToTilePixel, offsetTilePixel,
+  tilePixelToDisplay, displayToTilePixel,
+  globalToLatLng, latLngToGlobal,
+  createChunkKey, parseChunkKey,
+  parseCoordinatesText
+} from '../src/coordinates.js';
+
+describe('tilePixelToGlobal', () => {
+  it('converts tile and pixel coordinates to a global pixel', () => {
+    assert.deepEqual(tilePixelToGlobal(1, 2, 3, 4), [1003, 2004]);
+  });
+
+  it('continues pixels outside of the tile into the neighbouring tiles', () => {
+    assert.deepEqual(tilePixelToGlobal(1, 1, -1, 1000), [999, 2000]);
+  });
+
+  it('wraps X around the world', () => {
+    assert.deepEqual(tilePixelToGlobal(0, 0, -1, 0), [worldSize - 1, 0]);
+    assert.deepEqual(tilePixelToGlobal(worldTiles, 0, 5, 0), [5, 0]);
+  });
+});
+
+describe('globalToTilePixel', () => {
+  it('converts a global pixel to tile and pixel coordinates', () => {
+    assert.deepEqual(globalToTilePixel(1003, 2004), [1, 2, 3, 4]);
+  });
+
+  it('wraps X around the world', () => {
+    assert.deepEqual(globalToTilePixel(-1, 5), [worldTiles - 1, 0, tileSize - 1, 5]);
+    assert.deepEqual(globalToTilePixel(worldSize + 3, 5), [0, 0, 3, 5]);
+  });
+
+  it('is the inverse of tilePixelToGlobal', () => {
+    for (const coords of [[0, 0, 0, 0], [12, 345, 6, 78], [worldTiles - 1, worldTiles - 1, tileSize - 1, tileSize - 1]]) {
+      assert.deepEqual(globalToTilePixel(...tilePixelToGlobal(...coords)), coords);
+    }
+  });
+});
+
+describe('offsetTilePixel', () => {
+  it('moves inside a tile', () => {
+    assert.deepEqual(offsetTilePixel([5, 5, 10, 10], 3, -2), [5, 5, 13, 8]);
+  });
+
+  it('moves across tile boundaries', () => {
+    assert.deepEqual(offsetTilePixel([1, 1, 999, 0], 1, -1), [2, 0, 0, 999]);
+  });
+
+  it('wraps X around the world', () => {
+    assert.deepEqual(offsetTilePixel([0, 3, 0, 3], -1, 0), [worldTiles - 1, 3, tileSize - 1, 3]);
+    assert.deepEqual(offsetTilePixel([worldTiles - 1, 3, tileSize - 1, 3], 1, 0), [0, 3, 0, 3]);
+  });
+
+  it('stops Y at the top and bottom edges', () => {
+    assert.deepEqual(offsetTilePixel([0, 0, 5, 0], 0, -1), [0, 0, 5, 0]);
+    assert.deepEqual(offsetTilePixel([0, 0, 5, 2], 1, -10), [0, 0, 6, 0]);
+    assert.deepEqual(offsetTilePixel([0, worldTiles - 1, 5, tileSize - 1], 0, 1), [0, worldTiles - 1, 5, tileSize - 1]);
+  });
+});
+
+describe('tilePixelToDisplay and displayToTilePixel', () => {
+  it('converts to the coordinates shown on screen', () => {
+    assert.deepEqual(tilePixelToDisplay(12, 123, 34, 567), [34, 3567]);
+  });
+
+  it('converts back using a nearby tile', () => {
+    assert.deepEqual(displayToTilePixel(34, 3567, 13, 121), [12, 123, 34, 567]);
+  });
+
+  it('round trips for every tile of a group of 4', () => {
+    for (let tileX = 8; tileX < 12; tileX++) {
+      const coords = [tileX, 21, 999, 0];
+      assert.deepEqual(displayToTilePixel(...tilePixelToDisplay(...coords), 8, 23), coords);
+    }
+  });
+});
+
+describe('globalToLatLng and latLngToGlobal', () => {
+  it('puts the middle of the world at 0, 0', () => {
+    assert.deepEqual(globalToLatLng(worldSize / 2, worldSize / 2), { 'lat': 0, 'lng': 0 });
+    assert.deepEqual(latLngToGlobal(0, 0), [worldSize / 2, worldSize / 2]);
+  });
+
+  it('puts the top left corner at the edge of the map', () => {
+    const { lat, lng } = globalToLatLng(0, 0);
+    assert.ok(Math.abs(lat - 85.0511287798066) < 1e-9);
+    assert.equal(lng, -180);
+  });
+
+  it('wraps longitudes past 180 degrees', () => {
+    assert.deepEqual(latLngToGlobal(0, 190), [56888, worldSize / 2]);
+  });
+
+  it('keeps latitudes past the edge of the map on the map', () => {
+    assert.deepEqual(latLngToGlobal(90, 0), [worldSize / 2, 0]);
+    assert.deepEqual(latLngToGlobal(-90, 0), [worldSize / 2, worldSize - 1]);
+  });
+
+  it('round trips the middle of a pixel', () => {
+    for (const [x, y] of [[0, 0], [1003, 2004], [worldSize / 2, worldSize / 2], [worldSize - 1, worldSize - 1], [123456, 1987654]]) {
+      const { lat, lng } = globalToLatLng(x + 0.5, y + 0.5);
+      assert.deepEqual(latLngToGlobal(lat, lng), [x, y]);
+    }
+  });
+});
+
+describe('createChunkKey and parseChunkKey', () => {
+  it('pads the coordinates', () => {
+    assert.equal(createChunkKey(12, 345, 6, 78), '0012,0345,006,078');
+  });
+
+  it('round trips', () => {
+    assert.deepEqual(parseChunkKey(createChunkKey(12, 345, 6, 78)), [12, 345, 6, 78]);
+    assert.deepEqual(parseChunkKey(createChunkKey(2047, 0, 999, 0)), [2047, 0, 999, 0]);
+  });
+
+  it('returns null for malformed keys', () => {
+    for (const chunkKey of ['12,345', '0012,0345,006', '0012,0345,006,078,', 'abcd,0345,006,078', '', undefined]) {
+      assert.equal(parseChunkKey(chunkKey), null);
+    }
+  });
+});
+
+describe('parseCoordinatesText', () => {
+  it('reads coordinates copied from Blue Marble', () => {
+    assert.deepEqual(parseCoordinatesText('(Tl X: 12, Tl Y: 345, Px X: 6, Px Y: 78)'), { 'coords': [12, 345, 6, 78] });
+    assert.deepEqual(parseCoordinatesText('tl x:1,tl y:2,px x:3,px y:4'), { 'coords': [1, 2, 3, 4] });
+  });
+
+  it('rejects coordinates outside of the world', () => {
+    assert.equal(parseCoordinatesText('Tl X: 3000, Tl Y: 0, Px X: 0, Px Y: 0'), null);
+    assert.equal(parseCoordinatesText('Tl X: 0, Tl Y: 0, Px X: 1000, Px Y: 0'), null);
+  });
+
+  it('reads wplace.live links', () => {
+    assert.deepEqual(parseCoordinatesText(' https://wplace.live/?lat=0&lng=0&zoom=11 '), { 'coords': [1024, 1024, 0, 0], 'lat': 0, 'lng': 0 });
+  });
+
+  it('reads the pixel a link points at', () => {
+    const { lat, lng } = globalToLatLng(...tilePixelToGlobal(12, 345, 6.5, 78.5));
+    assert.deepEqual(parseCoordinatesText(`https://wplace.live/?lat=${lat}&lng=${lng}`)?.['coords'], [12, 345, 6, 78]);
+  });
+
+  it('returns null for links without a position, and for other text', () => {
+    for (const text of ['https://wplace.live/', 'https://wplace.live/?lat=abc&lng=0', 'Foobar.', '', null]) {
+      assert.equal(parseCoordinatesText(text), null);
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  convertPixelsToPalette,
+  countPalettePixels, countErasePixels,
+  createLockedColorsReport
+} from '../src/paletteConverter.js';
+import { markerColors } from '../src/utils.js';
+
+/** Creates RGBA pixels from a list of [red, green, blue, alpha] pixels. */
+function createPixels(pixels) {
+  return new Uint8ClampedArray(pixels.flat());
+}
+
+/** Creates RGBA pixels where every pixel is the same color. */
+function createSolidPixels(width, height, rgba) {
+  return createPixels(Array.from({ length: width * height }, () => rgba));
+}
+
+/** Lists the distinct RGB colors of RGBA pixels, e.g. ["255,255,255"]. */
+function listColors(data) {
+  const colors = new Set();
+  for (let index = 0; index < data.length; index += 4) {
+    colors.add(`${data[index]},${data[index + 1]},${data[index + 2]}`);
+  }
+  return [...colors].sort();
+}
+
+describe('convertPixelsToPalette', () => {
+  it('replaces every color with the closest palette color', () => {
+    const output = convertPixelsToPalette(createPixels([[250, 250, 250, 255], [5, 5, 5, 255], [230, 30, 40, 255]]), 3, 1);
+    assert.deepEqual([...output], [255, 255, 255, 255, 0, 0, 0, 255, 237, 28, 36, 255]);
+  });
+
+  it('only uses the palette colors passed in', () => {
+    const output = convertPixelsToPalette(createPixels([[230, 30, 40, 255]]), 1, 1, { 'colorIDs': [1, 5] });
+    assert.deepEqual([...output], [0, 0, 0, 255]);
+  });
+
+  it('matches with CIEDE2000', () => {
+    const output = convertPixelsToPalette(createPixels([[250, 250, 250, 255]]), 1, 1, { 'matching': 'ciede2000' });
+    assert.deepEqual([...output], [255, 255, 255, 255]);
+  });
+
+  it('keeps transparent pixels transparent', () => {
+    const output = convertPixelsToPalette(createPixels([[255, 0, 0, 100]]), 1, 1);
+    assert.equal(output[3], 0);
+  });
+
+  it('copies marker pixels untouched', () => {
+    const output = convertPixelsToPalette(createPixels([[...markerColors['erase'], 200]]), 1, 1);
+    assert.deepEqual([...output], [...markerColors['erase'], 255]);
+  });
+
+  it('does not modify the pixels passed in', () => {
+    const data = createPixels([[250, 250, 250, 255]]);
+    convertPixelsToPalette(data, 1, 1, { 'dithering': 'floyd-steinberg' });
+    assert.deepEqual([...data], [250, 250, 250, 255]);
+  });
+
+  it('uses a single color for a solid image without dithering', () => {
+    const output = convertPixelsToPalette(createSolidPixels(8, 8, [128, 128, 128, 255]), 8, 8, { 'colorIDs': [1, 5] });
+    assert.equal(listColors(output).length, 1);
+  });
+
+  it('mixes colors to approximate a solid image with Floyd–Steinberg dithering', () => {
+    const output = convertPixelsToPalette(createSolidPixels(8, 8, [128, 128, 128, 255]), 8, 8, { 'colorIDs': [1, 5], 'dithering': 'floyd-steinberg' });
+    assert.deepEqual(listColors(output), ['0,0,0', '255,255,255']);
+
+    // About half of the pixels are white
+    const whitePixels = output.filter((channel, index) => index % 4 == 0 && channel == 255).length;
+    assert.ok(whitePixels >= 24 && whitePixels <= 40, `${whitePixels} of 64 pixels are white`);
+  });
+
+  it('mixes colors in a repeating pattern with ordered dithering', () => {
+    const output = convertPixelsToPalette(createSolidPixels(8, 8, [128, 128, 128, 255]), 8, 8, { 'colorIDs': [1, 5], 'dithering': 'ordered' });
+    assert.deepEqual(listColors(output), ['0,0,0', '255,255,255']);
+
+    // The pattern repeats every 4 pixels
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 4; x++) {
+        assert.equal(output[(y * 8 + x) * 4], output[(y * 8 + x + 4) * 4]);
+      }
+    }
+  });
+});
+
+describe('countPalettePixels', () => {
+  it('counts the pixels of each palette color', () => {
+    const data = createPixels([[255, 255, 255, 255], [255, 255, 255, 255], [0, 0, 0, 255], [237, 28, 36, 255]]);
+    assert.deepEqual(countPalettePixels(data), { 1: 1, 5: 2, 7: 1 });
+  });
+
+  it('skips transparent pixels and markers', () => {
+    const data = createPixels([[255, 255, 255, 0], [...markerColors['erase'], 255], [...markerColors['dontCare'], 255], [...markerColors['protect'], 255], [0, 0, 0, 255]]);
+    assert.deepEqual(countPalettePixels(data), { 1: 1 });
+  });
+});
+
+describe('countErasePixels', () => {
+  it('counts only the erase markers that are not transparent', () => {
+    const data = createPixels([[...markerColors['erase'], 255], [...markerColors['erase'], 255], [...markerColors['erase'], 0], [...markerColors['protect'], 255], [0, 0, 0, 255]]);
+    assert.equal(countErasePixels(data), 2);
+  });
+});
+
+describe('createLockedColorsReport', () => {
+  it('lists the colors that are not owned, most used first', () => {
+    assert.deepEqual(createLockedColorsReport({ 5: 10, 40: 3, 33: 7 }, [1, 2, 3, 4, 5]), [
+      { 'colorID': 33, 'name': 'Dark Red', 'count': 7 },
+      { 'colorID': 40, 'name': 'Dark Olive', 'count': 3 }
+    ]);
+  });
+
+  it('never lists transparent', () => {
+    assert.deepEqual(createLockedColorsReport({ 0: 5 }, []), []);
+  });
+});
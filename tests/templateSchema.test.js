@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  templatesSchemaVersion,
+  compareSchemaVersions, migrateTemplatesJSON, validateTemplatesJSON
+} from '../src/templateSchema.js';
+
+/** Creates a valid template JSON object in the current schema. */
+function createTemplatesJSON(templateValue = {}) {
+  return {
+    'whoami': 'BlueMarble',
+    'schemaVersion': templatesSchemaVersion,
+    'templates': {
+      '0 abc': { 'name': 'Test', 'coords': '1, 2, 3, 4', 'enabled': true, 'file': 'aGVsbG8=', ...templateValue }
+    }
+  };
+}
+
+describe('compareSchemaVersions', () => {
+  it('orders versions by major, then minor, then patch', () => {
+    assert.equal(compareSchemaVersions('1.0.0', '1.1.0'), -1);
+    assert.equal(compareSchemaVersions('2.0.0', '1.9.9'), 1);
+    assert.equal(compareSchemaVersions('1.2.10', '1.2.9'), 1);
+    assert.equal(compareSchemaVersions('2.1.0', '2.1.0'), 0);
+  });
+
+  it('treats missing parts as 0', () => {
+    assert.equal(compareSchemaVersions('2', '2.0.0'), 0);
+  });
+});
+
+describe('migrateTemplatesJSON', () => {
+  it('upgrades a JSON object without a schema version to the current version', () => {
+    const json = { 'whoami': 'BlueMarble', 'templates': { '0 abc': { 'coords': '1, 2, 3, 4', 'file': 'aGVsbG8=', 'tiles': { '0001,0002,003,004': 'aGVsbG8=' } } } };
+    const migrated = migrateTemplatesJSON(json);
+
+    assert.equal(migrated['schemaVersion'], templatesSchemaVersion);
+    assert.equal(migrated['templates']['0 abc']['enabled'], true);
+    assert.equal(migrated['templates']['0 abc']['tiles'], undefined);
+    assert.deepEqual(validateTemplatesJSON(migrated), []);
+  });
+
+  it('does not modify the JSON object passed in', () => {
+    const json = { 'schemaVersion': '1.0.0', 'templates': { '0 abc': { 'file': 'aGVsbG8=', 'tiles': {} } } };
+    const copy = structuredClone(json);
+    migrateTemplatesJSON(json);
+    assert.deepEqual(json, copy);
+  });
+
+  it('keeps the tiles of templates saved without their source image', () => {
+    const tiles = { '0001,0002,003,004': 'aGVsbG8=' };
+    const migrated = migrateTemplatesJSON({ 'schemaVersion': '1.2.0', 'templates': { '0 abc': { 'coords': '1, 2, 3, 4', 'tiles': tiles } } });
+    assert.deepEqual(migrated['templates']['0 abc']['tiles'], tiles);
+  });
+
+  it('keeps the "enabled" flag of templates that have one', () => {
+    const migrated = migrateTemplatesJSON({ 'schemaVersion': '1.0.0', 'templates': { '0 abc': { 'enabled': false } } });
+    assert.equal(migrated['templates']['0 abc']['enabled'], false);
+  });
+
+  it('leaves JSON objects in the current schema unchanged', () => {
+    const json = createTemplatesJSON();
+    assert.deepEqual(migrateTemplatesJSON(json), json);
+  });
+
+  it('throws on versions newer than this version supports', () => {
+    assert.throws(() => migrateTemplatesJSON({ 'schemaVersion': '99.0.0', 'templates': {} }), /newer/);
+  });
+
+  it('throws on malformed or unknown versions', () => {
+    assert.throws(() => migrateTemplatesJSON({ 'schemaVersion': 'latest', 'templates': {} }), /Unknown schema version/);
+    assert.throws(() => migrateTemplatesJSON({ 'schemaVersion': '1.0.5', 'templates': {} }), /Can not upgrade/);
+  });
+});
+
+describe('validateTemplatesJSON', () => {
+  it('accepts a valid JSON object', () => {
+    assert.deepEqual(validateTemplatesJSON(createTemplatesJSON({ 'renderMode': 'fill', 'renderOpacity': 0.5, 'pixels': 10, 'erasePixels': 2, 'colors': { '5': 10 } })), []);
+  });
+
+  it('rejects anything that is not an object', () => {
+    for (const json of [null, [], 'BlueMarble', 5]) {
+      assert.deepEqual(validateTemplatesJSON(json), ['The file is not a JSON object']);
+    }
+  });
+
+  it('rejects a JSON object that is not from Blue Marble', () => {
+    const json = createTemplatesJSON();
+    json['whoami'] = 'Someone';
+    assert.match(validateTemplatesJSON(json)[0], /"whoami" must be "BlueMarble"/);
+  });
+
+  it('rejects a JSON object without templates', () => {
+    assert.deepEqual(validateTemplatesJSON({ 'whoami': 'BlueMarble' }), ['"templates" must be an object']);
+  });
+
+  it('rejects malformed keys and coordinates', () => {
+    const json = createTemplatesJSON({ 'coords': '1, 2, 3' });
+    json['templates']['abc'] = json['templates']['0 abc'];
+    delete json['templates']['0 abc'];
+
+    const errors = validateTemplatesJSON(json);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /the key must look like "sortID authorID"/);
+    assert.match(errors[1], /"coords" must be 4 whole numbers/);
+  });
+
+  it('rejects pixel counts and dimensions that are not whole numbers', () => {
+    for (const property of ['pixels', 'erasePixels', 'width', 'height']) {
+      for (const value of [-1, 1.5, '10']) {
+        assert.deepEqual(validateTemplatesJSON(createTemplatesJSON({ [property]: value })), [`Template "0 abc": "${property}" must be a whole number`]);
+      }
+    }
+  });
+
+  it('rejects unknown render modes and opacities outside of 0 to 1', () => {
+    assert.match(validateTemplatesJSON(createTemplatesJSON({ 'renderMode': 'sparkles' }))[0], /"renderMode" must be one of "dots"/);
+
+    for (const renderOpacity of [-0.1, 1.1, '0.5']) {
+      assert.deepEqual(validateTemplatesJSON(createTemplatesJSON({ 'renderOpacity': renderOpacity })), ['Template "0 abc": "renderOpacity" must be a number from 0 to 1']);
+    }
+  });
+
+  it('rejects malformed color counts', () => {
+    assert.match(validateTemplatesJSON(createTemplatesJSON({ 'colors': [] }))[0], /"colors" must be an object/);
+    assert.match(validateTemplatesJSON(createTemplatesJSON({ 'colors': { 'red': 1 } }))[0], /"colors" must map palette color IDs/);
+    assert.match(validateTemplatesJSON(createTemplatesJSON({ 'colors': { '5': -1 } }))[0], /"colors" must map palette color IDs/);
+  });
+
+  it('rejects malformed tiles', () => {
+    const errors = validateTemplatesJSON(createTemplatesJSON({ 'tiles': { '1,2,3,4': 'aGVsbG8=', '0001,0002,003,004': 5 } }));
+    assert.deepEqual(errors, [
+      'Template "0 abc": tile "1,2,3,4" must look like "0000,0000,000,000"',
+      'Template "0 abc": tile "0001,0002,003,004" must be a base64 string'
+    ]);
+  });
+
+  it('rejects templates without an image', () => {
+    assert.deepEqual(validateTemplatesJSON(createTemplatesJSON({ 'file': undefined, 'tiles': {} })), ['Template "0 abc": has no image ("file" or "tiles")']);
+  });
+});